@@ -0,0 +1,107 @@
+const PIECE_NAMES = {
+    p: 'pawn',
+    n: 'knight',
+    b: 'bishop',
+    r: 'rook',
+    q: 'queen',
+    k: 'king',
+};
+
+const FILES = 'abcdefgh';
+
+/**
+ * Keys that move the keyboard cursor, as file and rank steps from White's side of the board.
+ */
+const CURSOR_KEYS = {
+    ArrowUp: [0, 1],
+    ArrowDown: [0, -1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+};
+
+/**
+ * Describes a move in words, so screen readers don't have to spell out SAN.
+ * @param {import('chess.js').Move} move Verbose move
+ * @returns {string} Move description, e.g. "knight from g1 to f3"
+ */
+export function describeMove(move) {
+    if (move.flags.includes('k')) {
+        return 'castles kingside';
+    }
+
+    if (move.flags.includes('q')) {
+        return 'castles queenside';
+    }
+
+    const parts = [`${PIECE_NAMES[move.piece]} from ${move.from} to ${move.to}`];
+
+    if (move.captured) {
+        parts.push(`takes ${PIECE_NAMES[move.captured]}`);
+    }
+
+    if (move.promotion) {
+        parts.push(`promotes to ${PIECE_NAMES[move.promotion]}`);
+    }
+
+    return parts.join(', ');
+}
+
+/**
+ * Describes what stands on a square.
+ * @param {import('chess.js').Chess} chess Game
+ * @param {string} square Square name, e.g. e4
+ * @returns {string} Square description, e.g. "e4, white knight"
+ */
+export function describeSquare(chess, square) {
+    const piece = chess.get(square);
+    return piece ? `${square}, ${piece.color === 'w' ? 'white' : 'black'} ${PIECE_NAMES[piece.type]}` : `${square}, empty`;
+}
+
+/**
+ * Moves the keyboard cursor across the board.
+ * @param {string} square Square the cursor is on
+ * @param {string} key Pressed key
+ * @param {string} orientation Side of the board facing the user: white or black
+ * @returns {string|null} New square, the same square at the edge of the board, or null if the key doesn't move the cursor
+ */
+export function moveCursor(square, key, orientation) {
+    if (!(key in CURSOR_KEYS)) {
+        return null;
+    }
+
+    const sign = orientation === 'white' ? 1 : -1;
+    const [fileStep, rankStep] = CURSOR_KEYS[key];
+    const file = Math.max(0, Math.min(7, FILES.indexOf(square[0]) + sign * fileStep));
+    const rank = Math.max(1, Math.min(8, Number(square[1]) + sign * rankStep));
+    return `${FILES[file]}${rank}`;
+}
+
+/**
+ * Creates a visually hidden region that screen readers read out when its text changes.
+ * @returns {{element: HTMLElement, announce: (message: string) => void}} Region element and a function to announce messages
+ */
+export function createLiveRegion() {
+    const element = document.createElement('div');
+    element.classList.add('chess-sr-only');
+    element.setAttribute('role', 'status');
+    element.setAttribute('aria-live', 'polite');
+
+    // Messages of the same turn (the move, then check) are read together
+    let pending = [];
+    const announce = (message) => {
+        if (!message) {
+            return;
+        }
+
+        pending.push(message);
+
+        if (pending.length === 1) {
+            setTimeout(() => {
+                element.textContent = pending.join('. ');
+                pending = [];
+            });
+        }
+    };
+
+    return { element, announce };
+}
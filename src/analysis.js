@@ -0,0 +1,201 @@
+/**
+ * Evaluations beyond this (in centipawns) are treated as decided, so mates don't skew the numbers.
+ */
+const EVALUATION_CAP = 1000;
+const MATE_THRESHOLD = 90000;
+const MAX_KEY_MOMENTS = 6;
+
+/**
+ * Evaluation drops (in centipawns) for each kind of mistake, worst first.
+ */
+const MISTAKE_THRESHOLDS = [
+    ['blunder', 200],
+    ['mistake', 100],
+    ['inaccuracy', 50],
+];
+
+export const ANNOTATION_SYMBOLS = {
+    blunder: '??',
+    mistake: '?',
+    inaccuracy: '?!',
+    'missed mate': '?',
+};
+
+const clamp = (value) => Math.max(-EVALUATION_CAP, Math.min(EVALUATION_CAP, value));
+
+/**
+ * Gets the move number to show before a move in a move list.
+ * @param {number} index Index of the move in the history
+ * @param {number} firstMoveNumber Move number of the first move
+ * @param {string} firstMoveColor Color of the side that made the first move
+ * @returns {string|null} Move number, e.g. "12." or "12..." for Black's first move, or null if Black's move doesn't need one
+ */
+export function formatMoveNumber(index, firstMoveNumber, firstMoveColor) {
+    const isWhiteMove = (firstMoveColor === 'w') === (index % 2 === 0);
+
+    if (!isWhiteMove && index !== 0) {
+        return null;
+    }
+
+    const moveNumber = firstMoveNumber + Math.floor((index + (firstMoveColor === 'b' ? 1 : 0)) / 2);
+    return `${moveNumber}.${isWhiteMove ? '' : '..'}`;
+}
+
+/**
+ * Formats an evaluation for display.
+ * @param {number} evaluation Score in centipawns from White's point of view
+ * @returns {string} Evaluation in pawns, or a mate mark
+ */
+export function formatEvaluation(evaluation) {
+    if (Math.abs(evaluation) > MATE_THRESHOLD) {
+        return evaluation > 0 ? '+M' : '-M';
+    }
+
+    const pawns = evaluation / 100;
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(1)}`;
+}
+
+/**
+ * Marks the inaccuracies, mistakes, blunders and missed mates in the game.
+ * @param {import('chess.js').Move[]} history Verbose move history
+ * @param {number[]} evaluations Evaluations of every position from the start, from White's point of view
+ * @returns {{san: string, color: string, ply: number, before: number, after: number, label: string|null}[]} Annotated moves
+ */
+export function annotateMoves(history, evaluations) {
+    return history.map((move, index) => {
+        const sign = move.color === 'w' ? 1 : -1;
+        const before = evaluations[index];
+        const after = evaluations[index + 1];
+        const drop = sign * (clamp(before) - clamp(after));
+        let label = null;
+
+        if (sign * before > MATE_THRESHOLD && sign * after < MATE_THRESHOLD) {
+            label = 'missed mate';
+        } else {
+            label = MISTAKE_THRESHOLDS.find(([, threshold]) => drop >= threshold)?.[0] ?? null;
+        }
+
+        return { san: move.san, color: move.color, ply: index + 1, before, after, label };
+    });
+}
+
+/**
+ * Describes the most important moments of the game for the end of game prompt.
+ * @param {ReturnType<typeof annotateMoves>} annotated Annotated moves
+ * @param {{w: string, b: string}} players Player names by color
+ * @param {number} firstMoveNumber Move number of the first move
+ * @param {string} firstMoveColor Color of the side that made the first move
+ * @returns {string} Key moments, one per line, or an empty string if the game was clean
+ */
+export function describeKeyMoments(annotated, players, firstMoveNumber, firstMoveColor) {
+    const severity = ['missed mate', 'blunder', 'mistake', 'inaccuracy'];
+    const moments = annotated
+        .filter(move => move.label)
+        .sort((a, b) => severity.indexOf(a.label) - severity.indexOf(b.label))
+        .slice(0, MAX_KEY_MOMENTS)
+        .sort((a, b) => a.ply - b.ply);
+
+    return moments.map(move => {
+        const moveNumber = firstMoveNumber + Math.floor((move.ply - 1 + (firstMoveColor === 'b' ? 1 : 0)) / 2);
+        const what = move.label === 'missed mate' ? 'missed a forced mate' : `made a ${move.label}`;
+        return `Move ${moveNumber}: ${players[move.color]} (${move.color === 'w' ? 'White' : 'Black'}) played ${move.san} and ${what} (evaluation ${formatEvaluation(move.before)} to ${formatEvaluation(move.after)})`;
+    }).join('\n');
+}
+
+/**
+ * Draws the evaluation graph.
+ * @param {number[]} evaluations Evaluations of every position from the start, from White's point of view
+ * @param {number} [highlightedPly] Position to mark on the graph
+ * @returns {SVGSVGElement} Graph element
+ */
+export function renderEvaluationGraph(evaluations, highlightedPly) {
+    const namespace = 'http://www.w3.org/2000/svg';
+    const width = Math.max(1, evaluations.length - 1);
+    const height = 2 * EVALUATION_CAP;
+    const svg = document.createElementNS(namespace, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.classList.add('chess-evaluation-graph');
+
+    const toY = (evaluation) => EVALUATION_CAP - clamp(evaluation);
+    const points = evaluations.map((evaluation, ply) => `${ply},${toY(evaluation)}`);
+    const area = document.createElementNS(namespace, 'polygon');
+    area.setAttribute('points', [`0,${height}`, ...points, `${width},${height}`].join(' '));
+    area.classList.add('chess-evaluation-area');
+    svg.appendChild(area);
+
+    const middle = document.createElementNS(namespace, 'line');
+    middle.setAttribute('x1', '0');
+    middle.setAttribute('x2', String(width));
+    middle.setAttribute('y1', String(EVALUATION_CAP));
+    middle.setAttribute('y2', String(EVALUATION_CAP));
+    middle.setAttribute('vector-effect', 'non-scaling-stroke');
+    middle.classList.add('chess-evaluation-middle');
+    svg.appendChild(middle);
+
+    if (highlightedPly !== undefined) {
+        const marker = document.createElementNS(namespace, 'line');
+        marker.setAttribute('x1', String(highlightedPly));
+        marker.setAttribute('x2', String(highlightedPly));
+        marker.setAttribute('y1', '0');
+        marker.setAttribute('y2', String(height));
+        marker.setAttribute('vector-effect', 'non-scaling-stroke');
+        marker.classList.add('chess-evaluation-marker');
+        svg.appendChild(marker);
+    }
+
+    return svg;
+}
+
+/**
+ * Builds the game review with the evaluation graph and the annotated move list.
+ * @param {ReturnType<typeof annotateMoves>} annotated Annotated moves
+ * @param {number[]} evaluations Evaluations of every position from the start, from White's point of view
+ * @param {number} firstMoveNumber Move number of the first move
+ * @param {string} firstMoveColor Color of the side that made the first move
+ * @returns {HTMLElement} Review element
+ */
+export function renderGameReview(annotated, evaluations, firstMoveNumber, firstMoveColor) {
+    const review = document.createElement('div');
+    review.classList.add('flex-container', 'flexFlowColumn', 'flexGap10', 'chess-review');
+
+    const graphContainer = document.createElement('div');
+    graphContainer.appendChild(renderEvaluationGraph(evaluations));
+    review.appendChild(graphContainer);
+
+    const counts = document.createElement('div');
+    const countLabels = ['blunder', 'mistake', 'inaccuracy', 'missed mate'];
+    counts.textContent = ['w', 'b'].map(color => {
+        const parts = countLabels.map(label => `${annotated.filter(move => move.color === color && move.label === label).length} ${label}`);
+        return `${color === 'w' ? 'White' : 'Black'}: ${parts.join(', ')}`;
+    }).join(' | ');
+    review.appendChild(counts);
+
+    const moveList = document.createElement('div');
+    moveList.classList.add('chess-history-list', 'chess-review-moves');
+    annotated.forEach((move, index) => {
+        const moveNumberText = formatMoveNumber(index, firstMoveNumber, firstMoveColor);
+
+        if (moveNumberText) {
+            const moveNumber = document.createElement('span');
+            moveNumber.classList.add('chess-move-number');
+            moveNumber.textContent = moveNumberText;
+            moveList.appendChild(moveNumber);
+        }
+
+        const moveText = document.createElement('span');
+        moveText.classList.add('chess-move');
+        if (move.label) {
+            moveText.classList.add(`chess-move-${move.label.replace(' ', '-')}`);
+        }
+        moveText.textContent = `${move.san}${move.label ? ANNOTATION_SYMBOLS[move.label] : ''}`;
+        moveText.title = `${move.label ? `${move.label}, ` : ''}${formatEvaluation(move.before)} → ${formatEvaluation(move.after)}`;
+        moveText.addEventListener('mouseenter', () => {
+            graphContainer.replaceChildren(renderEvaluationGraph(evaluations, move.ply));
+        });
+        moveList.appendChild(moveText);
+    });
+    review.appendChild(moveList);
+
+    return review;
+}
@@ -0,0 +1,115 @@
+/**
+ * Board color schemes. The SillyTavern one mixes the colors of the current UI theme.
+ */
+export const BOARD_THEMES = {
+    classic: 'Classic',
+    green: 'Green',
+    blue: 'Blue',
+    gray: 'Gray',
+    sillytavern: 'SillyTavern theme',
+};
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Applies a board color scheme.
+ * @param {HTMLElement} boardElement Chessboard container
+ * @param {string} theme Board theme: one of BOARD_THEMES
+ */
+export function applyBoardTheme(boardElement, theme) {
+    for (const name of Object.keys(BOARD_THEMES)) {
+        boardElement.classList.toggle(`chess-board-${name}`, name === theme);
+    }
+}
+
+/**
+ * Finds the king of a side.
+ * @param {import('chess.js').Chess} chess Game
+ * @param {string} color Side: w or b
+ * @returns {string|null} Square of the king, or null if there is none
+ */
+export function findKing(chess, color) {
+    for (const row of chess.board()) {
+        for (const piece of row) {
+            if (piece?.type === 'k' && piece.color === color) {
+                return piece.square;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Moves a highlight to the given squares.
+ * @param {HTMLElement} boardElement Chessboard container
+ * @param {string} className Highlight class
+ * @param {string[]} squares Squares to highlight, the rest lose the highlight
+ */
+export function markSquares(boardElement, className, squares) {
+    boardElement.querySelectorAll(`.${className}`).forEach((element) => {
+        element.classList.remove(className);
+    });
+
+    for (const square of squares) {
+        boardElement.querySelector(`.square-${square}`)?.classList.add(className);
+    }
+}
+
+/**
+ * Draws an arrow for a move over the board, replacing the previous one.
+ * @param {HTMLElement} boardElement Chessboard container
+ * @param {{from: string, to: string}|null} move Move to show, or null to only remove the arrow
+ */
+export function drawArrow(boardElement, move) {
+    boardElement.querySelector('.chess-arrows')?.remove();
+
+    const fromSquare = move && boardElement.querySelector(`.square-${move.from}`);
+    const toSquare = move && boardElement.querySelector(`.square-${move.to}`);
+
+    if (!fromSquare || !toSquare) {
+        return;
+    }
+
+    const bounds = boardElement.getBoundingClientRect();
+    const getCenter = (element) => {
+        const rect = element.getBoundingClientRect();
+        return [rect.left + rect.width / 2 - bounds.left, rect.top + rect.height / 2 - bounds.top];
+    };
+
+    const size = fromSquare.getBoundingClientRect().width;
+    const [x1, y1] = getCenter(fromSquare);
+    const [x2, y2] = getCenter(toSquare);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const headLength = size * 0.4;
+    const headWidth = size * 0.25;
+
+    // The shaft ends where the head starts, so the tip stays sharp
+    const baseX = x2 - headLength * Math.cos(angle);
+    const baseY = y2 - headLength * Math.sin(angle);
+
+    const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    svg.classList.add('chess-arrows');
+    svg.setAttribute('width', String(bounds.width));
+    svg.setAttribute('height', String(bounds.height));
+    svg.setAttribute('aria-hidden', 'true');
+
+    const shaft = document.createElementNS(SVG_NAMESPACE, 'line');
+    shaft.setAttribute('x1', String(x1));
+    shaft.setAttribute('y1', String(y1));
+    shaft.setAttribute('x2', String(baseX));
+    shaft.setAttribute('y2', String(baseY));
+    shaft.setAttribute('stroke-width', String(size * 0.15));
+    svg.appendChild(shaft);
+
+    const head = document.createElementNS(SVG_NAMESPACE, 'polygon');
+    const points = [
+        [x2, y2],
+        [baseX + headWidth * Math.sin(angle), baseY - headWidth * Math.cos(angle)],
+        [baseX - headWidth * Math.sin(angle), baseY + headWidth * Math.cos(angle)],
+    ];
+    head.setAttribute('points', points.map(point => point.join(',')).join(' '));
+    svg.appendChild(head);
+
+    boardElement.appendChild(svg);
+}
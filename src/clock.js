@@ -0,0 +1,121 @@
+export const TIME_CONTROLS = {
+    untimed: 'Untimed',
+    '1+0': '1+0 (Bullet)',
+    '3+2': '3+2 (Blitz)',
+    '5+3': '5+3 (Blitz)',
+    '10+5': '10+5 (Rapid)',
+    '15+10': '15+10 (Rapid)',
+    '30+0': '30+0 (Classical)',
+};
+
+const TICK_INTERVAL = 200;
+
+/**
+ * Parses a time control in the "minutes+increment" format.
+ * @param {string} timeControl Time control, e.g. 5+3, or untimed
+ * @returns {{initial: number, increment: number}|null} Initial time and increment in milliseconds, or null if untimed
+ * @throws {Error} If the time control can't be parsed
+ */
+export function parseTimeControl(timeControl) {
+    if (!timeControl || timeControl === 'untimed') {
+        return null;
+    }
+
+    const match = String(timeControl).trim().match(/^(\d+(?:\.\d+)?)\s*\+\s*(\d+)$/);
+
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid time control: ${timeControl}. Use the "minutes+increment" format, e.g. 5+3`);
+    }
+
+    return {
+        initial: Number(match[1]) * 60 * 1000,
+        increment: Number(match[2]) * 1000,
+    };
+}
+
+/**
+ * Formats the remaining time for display.
+ * @param {number} time Time in milliseconds
+ * @returns {string} Time as m:ss, with tenths of a second in the last ten seconds
+ */
+export function formatClock(time) {
+    time = Math.max(0, time);
+    const minutes = Math.floor(time / 60000);
+    const seconds = Math.floor(time / 1000) % 60;
+
+    if (time < 10000) {
+        return `${seconds}.${Math.floor(time / 100) % 10}`;
+    }
+
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+export class ChessClock {
+    /**
+     * @param {{initial: number, increment: number}} timeControl Parsed time control
+     * @param {{w: number, b: number}} [times] Remaining times to continue from
+     */
+    constructor(timeControl, times) {
+        this.increment = timeControl.increment;
+        this.times = times ? { ...times } : { w: timeControl.initial, b: timeControl.initial };
+        this.running = null;
+        this.startedAt = 0;
+        this.interval = null;
+    }
+
+    /**
+     * Gets the remaining time of a side.
+     * @param {string} color w or b
+     * @returns {number} Remaining time in milliseconds
+     */
+    timeLeft(color) {
+        const elapsed = this.running === color ? Date.now() - this.startedAt : 0;
+        return this.times[color] - elapsed;
+    }
+
+    /**
+     * Starts the clock of the side to move.
+     * @param {string} color w or b
+     * @param {() => void} onTick Called on every tick to update the display
+     * @param {(color: string) => void} onFlag Called when a side runs out of time
+     */
+    start(color, onTick, onFlag) {
+        this.stop();
+        this.running = color;
+        this.startedAt = Date.now();
+        this.interval = setInterval(() => {
+            onTick();
+
+            if (this.running && this.timeLeft(this.running) <= 0) {
+                const flagged = this.running;
+                this.stop();
+                this.times[flagged] = 0;
+                onFlag(flagged);
+            }
+        }, TICK_INTERVAL);
+    }
+
+    /**
+     * Ends the turn of the side that just moved and starts the other clock.
+     * @param {string} color w or b
+     */
+    press(color) {
+        if (this.running !== color) {
+            return;
+        }
+
+        this.times[color] = this.timeLeft(color) + this.increment;
+        this.running = color === 'w' ? 'b' : 'w';
+        this.startedAt = Date.now();
+    }
+
+    stop() {
+        if (this.running) {
+            this.times[this.running] = this.timeLeft(this.running);
+        }
+
+        clearInterval(this.interval);
+        this.interval = null;
+        this.running = null;
+    }
+}
@@ -0,0 +1,252 @@
+/* global SillyTavern, toastr */
+
+import { ENGINE_LEVELS } from './engine';
+import { OPPONENT_OPTIONS } from './settings';
+import { COMMENTARY_FREQUENCIES } from './commentary';
+import { VARIANTS } from './variants';
+import { PUZZLES } from './puzzles';
+
+/**
+ * Registers the chess slash commands.
+ * @param {object} api Game controls
+ * @param {() => any} api.getActiveGame Returns the game the commands should drive, or null
+ * @param {(options: {color: string, opponent: string, engineLevel: number, startPosition: string, timeControl: string, character: string, white: string, black: string, commentary: string, variant: string, odds: string}) => Promise<any>} api.startGame Starts a new game
+ * @param {(options: {id: string, character: string}) => Promise<any>} api.startPuzzle Starts a puzzle
+ * @param {() => Promise<void>} api.editProfile Opens the chess profile of the current character
+ * @param {() => Promise<string>} api.showStats Opens the stats and returns the record against the current character
+ */
+export function registerSlashCommands({ getActiveGame, startGame, startPuzzle, editProfile, showStats }) {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = SillyTavern.getContext();
+
+    const withGame = (callback) => async (args, value) => {
+        const game = getActiveGame();
+
+        if (!game) {
+            toastr.warning('There is no chess game in progress.', 'Chess');
+            return '';
+        }
+
+        return await callback(game, args, value);
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-start',
+        callback: async (args) => {
+            const game = await startGame({
+                color: args.color,
+                opponent: args.opponent,
+                engineLevel: args.level ? Number(args.level) : undefined,
+                startPosition: args.position,
+                timeControl: args.time,
+                character: args.character,
+                white: args.white,
+                black: args.black,
+                commentary: args.commentary,
+                variant: args.variant,
+                odds: args.odds,
+            });
+            return game?.gameId ?? '';
+        },
+        returns: 'the id of the started game',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'color',
+                description: 'your color, or watch to let two characters play each other',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['white', 'black', 'random', 'watch'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'opponent',
+                description: 'who picks the opponent\'s moves',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(OPPONENT_OPTIONS),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'level',
+                description: 'engine strength',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                enumList: Object.keys(ENGINE_LEVELS),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'time',
+                description: 'time control as minutes+increment, e.g. 5+3, or untimed',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'position',
+                description: 'FEN to start from, or PGN of the game to continue',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'character',
+                description: 'group member to play against',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'white',
+                description: 'character playing White when watching',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'black',
+                description: 'character playing Black when watching',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'commentary',
+                description: 'live commentary frequency',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(COMMENTARY_FREQUENCIES),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'variant',
+                description: 'chess variant',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(VARIANTS),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'odds',
+                description: 'side that plays without the piece in an odds game, the character by default',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['white', 'black'],
+            }),
+        ],
+        helpString: 'Starts a chess game in the current chat. Uses the defaults from the extension settings for anything not specified.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-move',
+        callback: withGame((game, _args, move) => {
+            const error = game.makeTypedMove(String(move ?? '').trim());
+
+            if (error) {
+                toastr.warning(error, 'Chess');
+                return '';
+            }
+
+            return game.game.history().at(-1) ?? '';
+        }),
+        returns: 'the played move in SAN, or an empty string if the move is illegal',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'move in SAN (Nf3) or UCI (g1f3)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: 'Plays your move in the active chess game.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-undo',
+        callback: withGame((game) => {
+            const error = game.undoMove();
+
+            if (error) {
+                toastr.warning(error, 'Chess');
+                return '';
+            }
+
+            return game.game.fen();
+        }),
+        returns: 'the position after the undo in FEN, or an empty string if nothing was taken back',
+        helpString: 'Takes back your last move and the opponent\'s reply in the active chess game.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-resign',
+        callback: withGame(async (game) => {
+            if (game.spectator) {
+                toastr.warning('Spectators can\'t resign.', 'Chess');
+                return '';
+            }
+
+            await game.resign();
+            return game.getOutcome();
+        }),
+        returns: 'the outcome of the game',
+        helpString: 'Resigns the active chess game.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-draw',
+        callback: withGame(async (game) => {
+            if (game.claimDraw()) {
+                return game.getOutcome();
+            }
+
+            const accepted = await game.offerDraw();
+            return accepted ? game.getOutcome() : '';
+        }),
+        returns: 'the outcome of the game if it ended in a draw, or an empty string if the offer was declined',
+        helpString: 'Claims a draw by threefold repetition or the 50-move rule when possible, otherwise offers a draw to the character.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-fen',
+        callback: withGame((game) => game.game.fen()),
+        returns: 'the current position in FEN',
+        helpString: 'Returns the current position of the active chess game in FEN.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-pgn',
+        callback: withGame((game) => game.getPgn()),
+        returns: 'the game so far in PGN',
+        helpString: 'Returns the moves of the active chess game in PGN.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-profile',
+        callback: async () => {
+            await editProfile();
+            return '';
+        },
+        helpString: 'Opens the chess profile of the current character: playing strength, style, favorite openings and what goes into the move prompt.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-stats',
+        callback: async () => await showStats(),
+        returns: 'wins, draws and losses against the current character',
+        helpString: 'Shows your chess stats against every character, your rating estimate and the past games.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-puzzle',
+        callback: async (args, id) => {
+            const game = await startPuzzle({ id: String(id ?? '').trim(), character: args.character });
+            return game?.gameId ?? '';
+        },
+        returns: 'the id of the started puzzle',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'character',
+                description: 'name of the character coaching you',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'puzzle id, defaults to the next puzzle to train',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: PUZZLES.map(puzzle => puzzle.id),
+            }),
+        ],
+        helpString: 'Starts a chess puzzle with the character as coach.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chess-hint',
+        callback: withGame(async (game) => {
+            if (!game.puzzle) {
+                toastr.warning('Hints are only available in puzzles.', 'Chess');
+                return '';
+            }
+
+            await game.requestPuzzleHint();
+            return '';
+        }),
+        helpString: 'Asks the coach for a hint in the active puzzle.',
+    }));
+}
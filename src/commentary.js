@@ -0,0 +1,84 @@
+const PIECE_NAMES = {
+    p: 'pawn',
+    n: 'knight',
+    b: 'bishop',
+    r: 'rook',
+    q: 'queen',
+    k: 'king',
+};
+
+/**
+ * Drop in the evaluation (in centipawns) that makes a move a blunder.
+ */
+const BLUNDER_THRESHOLD = 200;
+
+export const COMMENTARY_FREQUENCIES = {
+    off: 'Off',
+    major: 'Major events (checks, blunders, promotions, mate)',
+    notable: 'Notable events (also captures and castling)',
+    every: 'Every move',
+};
+
+export const COMMENTARY_TARGETS = {
+    bubble: 'Speech bubble above the board',
+    chat: 'Chat message',
+};
+
+/**
+ * Describes what happened in a move.
+ * @param {import('chess.js').Move} move Verbose move
+ * @param {string} mover Name of whoever played the move
+ * @param {number|null} evalDrop How much the move worsened the mover's position in centipawns, if known
+ * @returns {{major: string[], notable: string[], all: string[]}} Event descriptions by importance
+ */
+export function describeMoveEvents(move, mover, evalDrop) {
+    const major = [];
+    const notable = [];
+
+    if (move.san.endsWith('#')) {
+        major.push(`${mover} delivered checkmate with ${move.san}`);
+    } else if (move.san.endsWith('+')) {
+        major.push(`${mover} gave a check with ${move.san}`);
+    }
+
+    if (move.promotion) {
+        major.push(`${mover} promoted a pawn to a ${PIECE_NAMES[move.promotion]}`);
+    }
+
+    if (evalDrop !== null && evalDrop >= BLUNDER_THRESHOLD) {
+        major.push(`${mover} blundered with ${move.san}`);
+    }
+
+    if (move.captured) {
+        notable.push(`${mover} captured a ${PIECE_NAMES[move.captured]} with ${move.san}`);
+    }
+
+    if (move.flags.includes('k') || move.flags.includes('q')) {
+        notable.push(`${mover} castled ${move.flags.includes('k') ? 'kingside' : 'queenside'}`);
+    }
+
+    return {
+        major,
+        notable,
+        all: [...major, ...notable, `${mover} played ${move.san}`],
+    };
+}
+
+/**
+ * Picks the events worth commenting on for the given frequency.
+ * @param {{major: string[], notable: string[], all: string[]}} events Events of the move
+ * @param {string} frequency Commentary frequency setting
+ * @returns {string[]} Events to comment on, empty if the move is not worth a remark
+ */
+export function selectEvents(events, frequency) {
+    switch (frequency) {
+        case 'major':
+            return events.major;
+        case 'notable':
+            return [...events.major, ...events.notable];
+        case 'every':
+            return events.major.length || events.notable.length ? [...events.major, ...events.notable] : events.all;
+        default:
+            return [];
+    }
+}
@@ -0,0 +1,527 @@
+import { Chess } from 'chess.js';
+import { findKing } from './board';
+import { CHECKS_TO_WIN, HILL_SQUARES } from './variants';
+
+/**
+ * Material values of the pieces in centipawns.
+ */
+export const PIECE_VALUES = {
+    p: 100,
+    n: 320,
+    b: 330,
+    r: 500,
+    q: 900,
+    k: 0,
+};
+
+/**
+ * Search settings for each engine strength level.
+ */
+export const ENGINE_LEVELS = {
+    1: { name: 'Beginner', depth: 1, randomness: 200, candidates: 8 },
+    2: { name: 'Casual', depth: 2, randomness: 80, candidates: 6 },
+    3: { name: 'Club player', depth: 2, randomness: 20, candidates: 4 },
+    4: { name: 'Expert', depth: 3, randomness: 0, candidates: 3 },
+    5: { name: 'Master', depth: 4, randomness: 0, candidates: 2 },
+};
+
+export const DEFAULT_ENGINE_LEVEL = 3;
+
+const MATE_SCORE = 100000;
+const INFINITY = 1000000;
+const QUIESCENCE_DEPTH = 4;
+const TIME_LIMIT = 5000;
+const MAX_RANKING_DEPTH = 3;
+const ANALYSIS_TIME_LIMIT = 150;
+const MAX_ANALYSIS_TIME = 5000;
+
+/**
+ * @typedef {object} EngineRules
+ * @property {string} variant Variant the game is played in: one of VARIANTS
+ * @property {{w: number, b: number}} checks Checks each side has given before the position, for Three-check
+ */
+
+/** @type {EngineRules} */
+const STANDARD_RULES = { variant: 'standard', checks: { w: 0, b: 0 } };
+
+/**
+ * Piece-square tables from White's point of view, a8 first.
+ * Black uses the same tables mirrored vertically.
+ */
+const PIECE_SQUARE_TABLES = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0,
+    ],
+    n: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50,
+    ],
+    b: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20,
+    ],
+    r: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0,
+    ],
+    q: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20,
+    ],
+    k: [
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -20, -30, -30, -40, -40, -30, -30, -20,
+        -10, -20, -20, -20, -20, -20, -20, -10,
+        20, 20, 0, 0, 0, 0, 20, 20,
+        20, 30, 10, 0, 0, 10, 30, 20,
+    ],
+    kEndgame: [
+        -50, -40, -30, -20, -20, -30, -40, -50,
+        -30, -20, -10, 0, 0, -10, -20, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -30, 0, 0, 0, 0, -30, -30,
+        -50, -30, -30, -30, -30, -30, -30, -50,
+    ],
+};
+
+/**
+ * Evaluates the position statically.
+ * @param {Chess} chess Position to evaluate
+ * @returns {number} Score in centipawns from the point of view of the side to move
+ */
+export function evaluate(chess) {
+    const board = chess.board();
+    let score = 0;
+    let material = 0;
+
+    for (const row of board) {
+        for (const square of row) {
+            if (square && square.type !== 'k' && square.type !== 'p') {
+                material += PIECE_VALUES[square.type];
+            }
+        }
+    }
+
+    // Kings should come out when the heavy pieces are gone
+    const isEndgame = material <= 2600;
+
+    for (let rank = 0; rank < 8; rank++) {
+        for (let file = 0; file < 8; file++) {
+            const square = board[rank][file];
+
+            if (!square) {
+                continue;
+            }
+
+            const table = square.type === 'k' && isEndgame ? PIECE_SQUARE_TABLES.kEndgame : PIECE_SQUARE_TABLES[square.type];
+            const index = square.color === 'w' ? rank * 8 + file : (7 - rank) * 8 + file;
+            const value = PIECE_VALUES[square.type] + table[index];
+            score += square.color === 'w' ? value : -value;
+        }
+    }
+
+    return chess.turn() === 'w' ? score : -score;
+}
+
+/**
+ * Sorts the moves so that the most promising ones are searched first.
+ * @param {import('chess.js').Move[]} moves Moves to sort
+ * @returns {import('chess.js').Move[]} Sorted moves
+ */
+function orderMoves(moves) {
+    const moveScore = (move) => {
+        let score = 0;
+
+        if (move.captured) {
+            score += 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece];
+        }
+
+        if (move.promotion) {
+            score += PIECE_VALUES[move.promotion];
+        }
+
+        if (move.san.endsWith('+') || move.san.endsWith('#')) {
+            score += 50;
+        }
+
+        return score;
+    };
+
+    return moves.map(move => ({ move, score: moveScore(move) }))
+        .sort((a, b) => b.score - a.score)
+        .map(x => x.move);
+}
+
+class Search {
+    /**
+     * @param {Chess} chess Position to search
+     * @param {number} deadline Time to stop the search at, as a timestamp
+     * @param {EngineRules} [rules] Variant rules to search by
+     */
+    constructor(chess, deadline, rules = STANDARD_RULES) {
+        this.chess = chess;
+        this.deadline = deadline;
+        this.variant = rules.variant;
+        this.checks = { ...rules.checks };
+        this.nodes = 0;
+        this.stopped = false;
+    }
+
+    /**
+     * Plays a move, keeping count of the checks in Three-check.
+     * @param {import('chess.js').Move} move Move to play
+     */
+    makeMove(move) {
+        this.chess.move(move);
+
+        if (this.variant === 'threeCheck' && this.chess.inCheck()) {
+            this.checks[move.color]++;
+        }
+    }
+
+    /**
+     * Takes back the move played last.
+     * @param {import('chess.js').Move} move Move to take back
+     */
+    undoMove(move) {
+        if (this.variant === 'threeCheck' && this.chess.inCheck()) {
+            this.checks[move.color]--;
+        }
+
+        this.chess.undo();
+    }
+
+    /**
+     * Checks if the side that just moved has won by a variant rule, so the side to move has lost.
+     * @returns {boolean} Whether the game is won by a variant rule
+     */
+    isVariantWin() {
+        const mover = this.chess.turn() === 'w' ? 'b' : 'w';
+
+        switch (this.variant) {
+            case 'kingOfTheHill':
+                return HILL_SQUARES.includes(findKing(this.chess, mover));
+            case 'threeCheck':
+                return this.checks[mover] >= CHECKS_TO_WIN;
+            default:
+                return false;
+        }
+    }
+
+    checkTime() {
+        if ((++this.nodes & 15) === 0 && Date.now() > this.deadline) {
+            this.stopped = true;
+        }
+    }
+
+    quiesce(alpha, beta, depth, ply) {
+        this.checkTime();
+
+        if (this.isVariantWin()) {
+            return -MATE_SCORE + ply;
+        }
+
+        const standPat = evaluate(this.chess);
+
+        if (standPat >= beta || depth === 0) {
+            return standPat;
+        }
+
+        let best = standPat;
+        alpha = Math.max(alpha, standPat);
+        const captures = orderMoves(this.chess.moves({ verbose: true }).filter(move => move.captured || move.promotion));
+
+        for (const move of captures) {
+            this.makeMove(move);
+            const score = -this.quiesce(-beta, -alpha, depth - 1, ply + 1);
+            this.undoMove(move);
+
+            if (this.stopped) {
+                return 0;
+            }
+
+            if (score >= beta) {
+                return score;
+            }
+
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        }
+
+        return best;
+    }
+
+    negamax(depth, alpha, beta, ply) {
+        this.checkTime();
+
+        if (this.isVariantWin()) {
+            return -MATE_SCORE + ply;
+        }
+
+        const moves = this.chess.moves({ verbose: true });
+
+        if (moves.length === 0) {
+            // Prefer the quickest mate
+            return this.chess.inCheck() ? -MATE_SCORE + ply : 0;
+        }
+
+        if (this.chess.isInsufficientMaterial() || this.chess.isThreefoldRepetition()) {
+            return 0;
+        }
+
+        if (depth === 0) {
+            return this.quiesce(alpha, beta, QUIESCENCE_DEPTH, ply);
+        }
+
+        let best = -INFINITY;
+
+        for (const move of orderMoves(moves)) {
+            this.makeMove(move);
+            const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1);
+            this.undoMove(move);
+
+            if (this.stopped) {
+                return 0;
+            }
+
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+
+            if (alpha >= beta) {
+                break;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Scores every move in the position.
+     * @param {number} depth Search depth in plies
+     * @param {boolean} exact Search every move with a full window to get exact scores
+     * @param {import('chess.js').Move[]} moves Moves to search, best guesses first
+     * @returns {{san: string, score: number}[]|null} Scored moves, or null if the search ran out of time
+     */
+    searchRoot(depth, exact, moves) {
+        const results = [];
+        let alpha = -INFINITY;
+
+        for (const move of moves) {
+            this.makeMove(move);
+            const score = -this.negamax(depth - 1, -INFINITY, exact ? INFINITY : -alpha, 1);
+            this.undoMove(move);
+
+            if (this.stopped) {
+                return null;
+            }
+
+            results.push({ san: move.san, score });
+            alpha = Math.max(alpha, score);
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Searches the position and scores the legal moves.
+ * Uses iterative deepening, so the result of the last completed depth is returned when time runs out.
+ * The first depth always completes, so even a short time limit gives real scores.
+ * @param {string} fen Position to search
+ * @param {object} options Search options
+ * @param {number} [options.depth] Maximum search depth in plies
+ * @param {number} [options.timeLimit] Time limit in milliseconds
+ * @param {boolean} [options.exact] Get exact scores for every move, not only the best one
+ * @param {EngineRules} [options.rules] Variant rules to search by
+ * @returns {{san: string, score: number}[]} Legal moves sorted from best to worst
+ */
+export function analyzePosition(fen, { depth = 3, timeLimit = TIME_LIMIT, exact = false, rules = STANDARD_RULES } = {}) {
+    const chess = new Chess(fen);
+    const deadline = Date.now() + timeLimit;
+    const search = new Search(chess, Infinity, rules);
+    let moves = orderMoves(chess.moves({ verbose: true }));
+    let results = moves.map(move => ({ san: move.san, score: 0 }));
+
+    for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+        search.deadline = currentDepth === 1 ? Infinity : deadline;
+        const scores = search.searchRoot(currentDepth, exact, moves);
+
+        if (!scores) {
+            break;
+        }
+
+        results = scores;
+        // Search the best moves of the previous iteration first
+        moves = scores.map(score => moves.find(move => move.san === score.san));
+    }
+
+    return results;
+}
+
+/**
+ * Evaluates the position with a short search.
+ * @param {string} fen Position to evaluate
+ * @param {number} [timeLimit] Time limit in milliseconds
+ * @param {EngineRules} [rules] Variant rules to search by
+ * @returns {number} Score in centipawns from White's point of view
+ */
+export function evaluatePosition(fen, timeLimit = TIME_LIMIT, rules = STANDARD_RULES) {
+    const chess = new Chess(fen);
+    const sign = chess.turn() === 'w' ? 1 : -1;
+
+    if (chess.isCheckmate() || new Search(chess, 0, rules).isVariantWin()) {
+        return -sign * MATE_SCORE;
+    }
+
+    // Only dead draws score zero, so the side that can claim a draw by the 50-move rule still knows where it stands
+    if (chess.isStalemate() || chess.isInsufficientMaterial()) {
+        return 0;
+    }
+
+    const [best] = analyzePosition(fen, { depth: 2, timeLimit, rules });
+    return sign * best.score;
+}
+
+/**
+ * Evaluates every position of a game. Long games get less time per position, so the whole analysis stays short.
+ * @param {string[]} fens Positions to evaluate
+ * @param {EngineRules[]} [rules] Variant rules for each position
+ * @returns {number[]} Scores in centipawns from White's point of view
+ */
+export function evaluateGame(fens, rules = []) {
+    const timeLimit = Math.min(ANALYSIS_TIME_LIMIT, MAX_ANALYSIS_TIME / Math.max(fens.length, 1));
+    return fens.map((fen, index) => evaluatePosition(fen, timeLimit, rules[index]));
+}
+
+/**
+ * Picks a move for the given strength level.
+ * @param {string} fen Position to search
+ * @param {number} level Engine strength level
+ * @param {EngineRules} [rules] Variant rules to search by
+ * @returns {string|null} Move in SAN, or null if there are no legal moves
+ */
+export function findBestMove(fen, level = DEFAULT_ENGINE_LEVEL, rules = STANDARD_RULES) {
+    const { depth, randomness } = ENGINE_LEVELS[level] ?? ENGINE_LEVELS[DEFAULT_ENGINE_LEVEL];
+    const results = analyzePosition(fen, { depth, exact: randomness > 0, rules });
+
+    if (results.length === 0) {
+        return null;
+    }
+
+    // Weaker levels get noise added to the scores, so they miss things now and then
+    const noisy = results.map(result => ({ ...result, score: result.score + (Math.random() - 0.5) * 2 * randomness }));
+    noisy.sort((a, b) => b.score - a.score);
+    return noisy[0].san;
+}
+
+/**
+ * Describes the outcome of a move in plain words.
+ * @param {number} score Score of the move for the side that plays it
+ * @param {number} baseline Score of the position before the move
+ * @returns {string} Short evaluation, e.g. "wins a pawn"
+ */
+function describeScore(score, baseline) {
+    const mateIn = (value) => Math.ceil((MATE_SCORE - Math.abs(value)) / 2);
+
+    if (score > MATE_SCORE - 1000) {
+        return `mates in ${mateIn(score)}`;
+    }
+
+    if (score < -MATE_SCORE + 1000) {
+        return `allows mate in ${mateIn(score)}`;
+    }
+
+    const delta = score - baseline;
+    const material = [
+        [800, 'a queen'],
+        [400, 'a rook'],
+        [250, 'a piece'],
+        [80, 'a pawn'],
+    ];
+
+    for (const [threshold, what] of material) {
+        if (delta >= threshold) {
+            return `wins ${what}`;
+        }
+
+        if (delta <= -threshold) {
+            return `loses ${what}`;
+        }
+    }
+
+    if (delta >= 30) {
+        return 'improves the position';
+    }
+
+    if (delta <= -30) {
+        return 'weakens the position';
+    }
+
+    return 'keeps the balance';
+}
+
+/**
+ * Picks the best moves in the position and describes each of them.
+ * The shortlist gets narrower as the strength level goes up.
+ * @param {string} fen Position to search
+ * @param {number} level Engine strength level
+ * @param {EngineRules} [rules] Variant rules to search by
+ * @returns {{san: string, score: number, comment: string}[]} Candidate moves sorted from best to worst
+ */
+export function rankMoves(fen, level = DEFAULT_ENGINE_LEVEL, rules = STANDARD_RULES) {
+    const { depth, candidates } = ENGINE_LEVELS[level] ?? ENGINE_LEVELS[DEFAULT_ENGINE_LEVEL];
+    const baseline = evaluate(new Chess(fen));
+    const results = analyzePosition(fen, { depth: Math.min(depth + 1, MAX_RANKING_DEPTH), exact: true, rules });
+
+    return results.slice(0, candidates).map(result => {
+        const tags = [];
+
+        if (result.san.includes('x')) {
+            tags.push('capture');
+        }
+
+        if (result.san.endsWith('+')) {
+            tags.push('check');
+        }
+
+        tags.push(describeScore(result.score, baseline));
+        return { ...result, comment: tags.join(', ') };
+    });
+}
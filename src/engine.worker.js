@@ -0,0 +1,18 @@
+import { evaluateGame, evaluatePosition, findBestMove, rankMoves } from './engine';
+
+const commands = {
+    move: ({ fen, level, rules }) => findBestMove(fen, level, rules),
+    rank: ({ fen, level, rules }) => rankMoves(fen, level, rules),
+    evaluate: ({ fen, rules }) => evaluatePosition(fen, undefined, rules),
+    analyze: ({ fens, rules }) => evaluateGame(fens, rules),
+};
+
+self.addEventListener('message', (event) => {
+    const { command, ...args } = event.data;
+
+    try {
+        self.postMessage({ result: commands[command](args) });
+    } catch (error) {
+        self.postMessage({ error: String(error) });
+    }
+});
@@ -1,7 +1,25 @@
-/* global SillyTavern */
-
-import { Chess } from 'chess.js';
-import { CHESSPIECES } from './pieces';
+/* global SillyTavern, toastr */
+
+import { Chess, validateFen } from 'chess.js';
+import { getPieceTheme } from './pieces';
+import { ENGINE_LEVELS } from './engine';
+import { addSettingsPanel, getSettings, OPPONENT_OPTIONS } from './settings';
+import { registerSlashCommands } from './commands';
+import { COMMENTARY_FREQUENCIES, describeMoveEvents, selectEvents } from './commentary';
+import { ChessClock, formatClock, parseTimeControl, TIME_CONTROLS } from './clock';
+import { annotateMoves, describeKeyMoments, formatEvaluation, formatMoveNumber, renderGameReview } from './analysis';
+import { describeProfile, editCharacterProfile, getCharacterProfile, ratingToEngineLevel } from './profiles';
+import { DEFAULT_OPPONENT_RATING, describeRecord, recordGameResult, showStats } from './results';
+import { findChatCharacter, getCharacterIndex, getChatCharacters } from './players';
+import { getBoardTermination, getClaimableDraw } from './rules';
+import { addRetryFeedback, getAnswerInstructions, getMoveSchema, parseMoveReply } from './moves';
+import { createLiveRegion, describeMove, describeSquare, moveCursor } from './accessibility';
+import { applyBoardTheme, drawArrow, findKing, markSquares } from './board';
+import { describeVariant, getPgnVariantName, getVariantStartFen, getVariantTermination, isOddsVariant, ODDS_OPTIONS, VARIANTS } from './variants';
+import { GameManager } from './manager';
+import { findOpening, formatOpening, pickBookMove } from './openings';
+import { describePuzzleProgress, getPuzzle, getSolutionSan, MAX_PUZZLE_MISTAKES, parseUciMove, pickNextPuzzle, recordPuzzleAttempt } from './puzzles';
+import EngineWorker from './engine.worker';
 import '@chrisoakman/chessboardjs/dist/chessboard-1.0.0.min.css';
 import '@chrisoakman/chessboardjs/dist/chessboard-1.0.0.min';
 import './styles.css';
@@ -17,25 +35,442 @@ async function importFromScript(what) {
 }
 
 /**
- * @type {(prompt: string, api: string, instructOverride: boolean, quietToLoud: boolean, systemPrompt: string, responseLength: number) => Promise<string>}
+ * Recent SillyTavern versions also take a single options object, which is the only way to pass a JSON schema.
+ * @type {((prompt: string, api?: string, instructOverride?: boolean, quietToLoud?: boolean, systemPrompt?: string, responseLength?: number) => Promise<string>) & ((options: {prompt: string, systemPrompt?: string, jsonSchema?: object}) => Promise<string>)}
  */
 const generateRaw = await importFromScript('generateRaw');
 
-class ChessGame {
-    static gamesLaunched = 0;
+/**
+ * Positions and roles of extension prompts, used to put the end of game prompt into the chat.
+ * @type {{IN_CHAT: number}}
+ */
+const extensionPromptTypes = await importFromScript('extension_prompt_types');
+/** @type {{SYSTEM: number}} */
+const extensionPromptRoles = await importFromScript('extension_prompt_roles');
+
+/**
+ * Pause between the moves of a spectator game, so the user can follow it.
+ */
+const SPECTATOR_MOVE_DELAY = 1000;
+
+/**
+ * Pause before the forced reply in a puzzle, so the user sees their move land first.
+ */
+const PUZZLE_REPLY_DELAY = 500;
+
+/**
+ * Pause before a move from the opening book, for the same reason.
+ */
+const BOOK_MOVE_DELAY = 500;
+
+/**
+ * Characters without an LLM decision take a draw when the engine doesn't see them ahead by more than this (in centipawns).
+ */
+const DRAW_ACCEPT_SCORE = 0;
+
+const PROMOTION_PIECES = {
+    q: 'Queen',
+    r: 'Rook',
+    b: 'Bishop',
+    n: 'Knight',
+};
+
+/**
+ * Runs a command in the bundled engine. The search runs in a worker to keep the UI responsive.
+ * @param {string} command Engine command: move, rank, evaluate or analyze
+ * @param {object} args Command arguments, e.g. the position and the strength level
+ * @param {AbortSignal} [signal] Signal that stops the search, e.g. when the game is disposed
+ * @returns {Promise<any>} Command result
+ * @throws {DOMException} If the signal is aborted before the search is done
+ */
+function runEngine(command, args, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+
+        const worker = new EngineWorker();
+        const onAbort = () => {
+            worker.terminate();
+            reject(signal.reason);
+        };
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        worker.addEventListener('message', (event) => {
+            finish();
+            event.data.error ? reject(new Error(event.data.error)) : resolve(event.data.result);
+        });
+        worker.addEventListener('error', (event) => {
+            finish();
+            reject(event.error ?? new Error(event.message));
+        });
+        worker.postMessage({ command, ...args });
+    });
+}
+
+class TimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Waits for the promise until the signal is aborted.
+ * @template T
+ * @param {Promise<T>} promise Promise to wait for
+ * @param {AbortSignal} signal Signal that stops the wait
+ * @returns {Promise<T>} Result of the promise
+ * @throws {DOMException} If the signal is aborted first
+ */
+function withSignal(promise, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Replaces the chess-specific macros in a prompt template.
+ * @param {string} template Prompt template
+ * @param {Object<string, string>} macros Macro names and their values
+ * @returns {string} Prompt with the macros replaced
+ */
+function replaceMacros(template, macros) {
+    for (const [name, value] of Object.entries(macros)) {
+        template = template.replace(new RegExp(`{{${name}}}`, 'gi'), () => value);
+    }
 
-    static opponentMovePrompt = 'You are a world-renowned chess grandmaster. You are given the representation of a chessboard state using the Forsyth-Edwards Notation (FEN) and ASCII. Select the best possible move from the list in algebraic notation and reply with JUST the move, e.g. \'Nc6\'. You are playing as {{color}}.';
-    static commentPrompt = '{{char}} played a game of chess against {{user}}. {{user}} played as {{color}} and {{char}} played as {{opponent}}, and {{outcome}}! The final state of the board state in FEN notation: {{fen}}. Write a {{random:witty,playful,funny,quirky,zesty}} comment about the game from {{char}}\'s perspective.';
+    return template;
+}
+
+/**
+ * Games on the boards of the current chat.
+ */
+const gameManager = new GameManager();
+
+/**
+ * Gets the game the commands and settings apply to.
+ * @returns {ChessGame|null} Most recently launched game still running in the current chat, or null if there is none
+ */
+function getActiveGame() {
+    return /** @type {ChessGame|null} */ (gameManager.getActiveGame(SillyTavern.getContext().getCurrentChatId()));
+}
 
-    constructor(color) {
+class ChessGame {
+    /**
+     * @param {string} color User's color: white, black or random
+     * @param {object} [options] Game options
+     * @param {string} [options.opponent] Who picks the opponent's moves: llm, hybrid or engine
+     * @param {number} [options.engineLevel] Engine strength level
+     * @param {string} [options.startPosition] Position to start from, as a FEN or a PGN of the game to continue
+     * @param {string} [options.timeControl] Time control in the "minutes+increment" format, or untimed
+     * @param {{w: number, b: number}} [options.clocks] Remaining times to continue from
+     * @param {{w: string|null, b: string|null}} [options.characters] Avatar file names of the characters playing each side, null for the user's side
+     * @param {boolean} [options.spectator] Whether two characters play each other while the user watches
+     * @param {string} [options.commentary] Live commentary frequency
+     * @param {string} [options.variant] Chess variant: one of VARIANTS
+     * @param {string|null} [options.oddsColor] Side that gives odds in an odds game: w or b, defaults to the character
+     */
+    constructor(color, { opponent = 'llm', engineLevel = getSettings().engineLevel, startPosition = '', timeControl = 'untimed', clocks = null, characters = null, spectator = false, commentary = getSettings().commentaryFrequency, variant = 'standard', oddsColor = null, puzzleId = null } = {}) {
         if (color === 'random') {
             color = Math.random() > 0.5 ? 'white' : 'black';
         }
 
         this.gameId = `sillytavern-chess-${Math.random().toString(36).substring(2)}`;
         this.boardId = `chessboard-${this.gameId}`;
-        this.color = color;
+        // Spectators watch from White's side
+        this.color = spectator ? 'white' : color;
+        this.orientation = this.color;
+        this.variant = variant;
+        this.puzzle = puzzleId ? getPuzzle(puzzleId) : null;
+        this.puzzleMistakes = 0;
+        this.puzzleHints = 0;
+        this.puzzleResult = null;
+        // Unless told otherwise, the character gives the odds, or White when two characters play
+        this.oddsColor = oddsColor ?? (spectator ? 'w' : this.getOpponentColor()[0]);
+        this.spectator = spectator;
+        this.commentary = commentary;
+        this.characters = characters ?? ChessGame.getDefaultCharacters(this.color, spectator);
+        this.opponent = opponent;
+        this.engineLevel = engineLevel;
         this.game = new Chess();
+        this.generationQueue = Promise.resolve();
+        // Aborted when the game is disposed, to drop the generations still queued
+        this.abortController = new AbortController();
+        this.isDisposed = false;
+        this.isPlayStopped = false;
+        this.evaluations = new Map();
+        this.remark = '';
+        this.viewedPly = null;
+        this.selectedSquare = null;
+        this.cursorSquare = this.color === 'white' ? 'e2' : 'e7';
+        this.boardFocused = false;
+        this.announcedStatus = '';
+        this.timeControl = timeControl;
+
+        const parsedTimeControl = parseTimeControl(timeControl);
+        this.clock = parsedTimeControl ? new ChessClock(parsedTimeControl, clocks) : null;
+
+        const position = startPosition.trim() || getVariantStartFen(variant, this.oddsColor);
+        if (position) {
+            this.loadPosition(position);
+        }
+    }
+
+    /**
+     * Picks the first character of the chat for the sides the user doesn't play.
+     * @param {string} color User's color
+     * @param {boolean} spectator Whether the user only watches
+     * @returns {{w: string|null, b: string|null}} Avatar file names of the characters by side
+     */
+    static getDefaultCharacters(color, spectator) {
+        const avatar = getChatCharacters()[0]?.avatar ?? null;
+        return {
+            w: spectator || color === 'black' ? avatar : null,
+            b: spectator || color === 'white' ? avatar : null,
+        };
+    }
+
+    /**
+     * Gets the character playing a side.
+     * @param {string} side w or b
+     * @returns {any} Character, or null if the user plays the side or the character is gone
+     */
+    getCharacter(side) {
+        const avatar = this.characters[side];
+        return avatar ? SillyTavern.getContext().characters.find(character => character.avatar === avatar) ?? null : null;
+    }
+
+    /**
+     * Gets the name of whoever plays a side.
+     * @param {string} side w or b
+     * @returns {string} Character or user name
+     */
+    getPlayerName(side) {
+        const context = SillyTavern.getContext();
+
+        if (!this.characters[side]) {
+            return context.name1;
+        }
+
+        return this.getCharacter(side)?.name ?? context.name2;
+    }
+
+    /**
+     * Describes how the character playing a side plays, for the prompts.
+     * @param {string} side w or b
+     * @returns {string} Profile description with the card of the character and the opponent filled in
+     */
+    describePlayerProfile(side) {
+        const otherSide = side === 'w' ? 'b' : 'w';
+        const profile = getCharacterProfile(getCharacterIndex(this.characters[side]));
+
+        return describeProfile(profile, {
+            description: this.getCharacter(side)?.description ?? '',
+            opponentDescription: this.characters[otherSide]
+                ? this.getCharacter(otherSide)?.description ?? ''
+                : SillyTavern.getContext().substituteParams('{{persona}}'),
+        });
+    }
+
+    /**
+     * Loads the position to start from.
+     * @param {string} position FEN, or PGN of the game to continue
+     * @throws {Error} If the position is neither a valid FEN nor a valid PGN
+     */
+    loadPosition(position) {
+        if (validateFen(position).ok) {
+            this.game.load(position);
+            return;
+        }
+
+        this.game.loadPgn(position);
+    }
+
+    getStartFen() {
+        const history = this.game.history({ verbose: true });
+        return history.length ? history[0].before : this.game.fen();
+    }
+
+    /**
+     * Gets the game in PGN with the headers filled in.
+     * @returns {string} PGN of the game
+     */
+    getPgn() {
+        const date = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        this.game.header(
+            'Event', 'SillyTavern Chess',
+            'Site', 'SillyTavern',
+            'Date', `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`,
+            'White', this.getPlayerName('w'),
+            'Black', this.getPlayerName('b'),
+            'Result', this.getResult(),
+        );
+
+        const variantName = getPgnVariantName(this.variant);
+        if (variantName) {
+            this.game.header('Variant', variantName);
+        }
+
+        const opening = this.getOpening();
+        if (opening) {
+            this.game.header('ECO', opening.eco, 'Opening', opening.name);
+        } else {
+            this.game.removeHeader('ECO');
+            this.game.removeHeader('Opening');
+        }
+
+        return this.game.pgn();
+    }
+
+    /**
+     * Finds the opening played so far, by the last named position the game went through.
+     * @param {number} [ply] Number of moves to look at, the whole game by default
+     * @returns {import('./openings').Opening|null} Opening, or null if the game didn't reach a named position
+     */
+    getOpening(ply = Infinity) {
+        const history = this.game.history({ verbose: true });
+        return findOpening([this.getStartFen(), ...history.slice(0, ply).map(move => move.after)]);
+    }
+
+    /**
+     * Names the opening for the {{opening}} macro.
+     * @returns {string} Opening name with the ECO code, or unknown
+     */
+    describeOpening() {
+        return formatOpening(this.getOpening()) || 'unknown';
+    }
+
+    async exportPgn() {
+        const context = SillyTavern.getContext();
+        const pgn = this.getPgn();
+
+        const modalBody = document.createElement('div');
+        modalBody.classList.add('flex-container', 'flexFlowColumn');
+        const pgnText = document.createElement('textarea');
+        pgnText.classList.add('text_pole', 'monospace');
+        pgnText.rows = 12;
+        pgnText.readOnly = true;
+        pgnText.value = pgn;
+        modalBody.appendChild(pgnText);
+        const copyButton = document.createElement('div');
+        copyButton.classList.add('menu_button', 'menu_button_icon');
+        copyButton.innerHTML = '<i class="fa-solid fa-copy"></i><span>Copy to clipboard</span>';
+        copyButton.addEventListener('click', async () => {
+            await navigator.clipboard.writeText(pgn);
+            toastr.info('PGN copied to clipboard', 'Chess');
+        });
+        modalBody.appendChild(copyButton);
+
+        const result = await context.callPopup(modalBody, 'confirm', '', { okButton: 'Download', cancelButton: 'Close' });
+
+        if (!result) {
+            return;
+        }
+
+        const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.getPlayerName('w')} vs ${this.getPlayerName('b')} - ${new Date().toISOString().slice(0, 10)}.pgn`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Restores a game from the state saved in the chat message.
+     * @param {number} messageIndex Index of the chat message that holds the game
+     * @param {object} state Saved game state
+     * @returns {ChessGame} The restored game
+     */
+    static fromState(messageIndex, state) {
+        // Games of a variant that was dropped go on by the standard rules from where they are
+        const variant = state.variant in VARIANTS ? state.variant : 'standard';
+        const game = new ChessGame(state.color, { ...state, variant, startPosition: state.startFen });
+        game.gameId = state.gameId;
+        game.boardId = `chessboard-${game.gameId}`;
+        game.messageIndex = messageIndex;
+
+        try {
+            for (const move of state.history) {
+                game.game.move(move);
+            }
+        } catch (error) {
+            console.warn('Chess: Failed to replay the move history, loading the last known position', error);
+            game.game.load(state.fen);
+        }
+
+        game.flaggedColor = state.flaggedColor;
+        game.drawReason = state.drawReason;
+        game.puzzleMistakes = state.puzzleMistakes ?? 0;
+        game.puzzleHints = state.puzzleHints ?? 0;
+        game.puzzleResult = state.puzzleResult ?? null;
+        return game;
+    }
+
+    getState() {
+        return {
+            gameId: this.gameId,
+            color: this.color,
+            opponent: this.opponent,
+            engineLevel: this.engineLevel,
+            startFen: this.getStartFen(),
+            fen: this.game.fen(),
+            history: this.game.history(),
+            timeControl: this.timeControl,
+            clocks: this.clock ? { w: this.clock.timeLeft('w'), b: this.clock.timeLeft('b') } : null,
+            flaggedColor: this.flaggedColor,
+            drawReason: this.drawReason,
+            characters: this.characters,
+            spectator: this.spectator,
+            commentary: this.commentary,
+            variant: this.variant,
+            oddsColor: this.oddsColor,
+            puzzleId: this.puzzle?.id ?? null,
+            puzzleMistakes: this.puzzleMistakes,
+            puzzleHints: this.puzzleHints,
+            puzzleResult: this.puzzleResult,
+        };
+    }
+
+    /**
+     * Saves the current game state to the chat message, so it can be restored later.
+     * @param {boolean} clear Remove the saved state instead (e.g. when the game is over)
+     */
+    async saveState(clear = false) {
+        const context = SillyTavern.getContext();
+
+        // The chat was switched while the game was running
+        if (context.getCurrentChatId() !== this.chatId) {
+            return;
+        }
+
+        const message = context.chat[this.messageIndex];
+
+        if (!message) {
+            return;
+        }
+
+        message.extra = { ...message.extra };
+
+        if (clear) {
+            delete message.extra.chess;
+        } else {
+            message.extra.chess = this.getState();
+        }
+
+        await context.saveChat();
     }
 
     getOpponentIcon() {
@@ -46,43 +481,175 @@ class ChessGame {
         return this.color === 'white' ? 'black' : 'white';
     }
 
-    getOutcome() {
-        if (this.game.isCheckmate()) {
-            return `${this.game.turn() === 'w' ? 'Black' : 'White'} wins by checkmate`;
+    /**
+     * Works out if and how the game ended, on the board, on the clock or by agreement.
+     * @returns {{result: string, reason: string}|null} Result in PGN notation and how the game ended, or null if it goes on
+     */
+    getTermination() {
+        if (this.puzzleResult) {
+            return { result: '*', reason: this.puzzleResult === 'solved' ? 'the puzzle is solved' : 'the puzzle was failed' };
         }
-        else if (this.game.isStalemate()) {
-            return 'the game is a stalemate';
+
+        if (this.resignedColor) {
+            return {
+                result: this.resignedColor === 'white' ? '0-1' : '1-0',
+                reason: `${this.resignedColor === 'white' ? 'Black' : 'White'} wins by resignation`,
+            };
         }
-        else if (this.game.isDraw()) {
-            return 'the game is a draw';
+
+        if (this.drawReason) {
+            return { result: '1/2-1/2', reason: `the game is drawn by ${this.drawReason}` };
         }
-        else if (this.game.isThreefoldRepetition()) {
-            return 'the game is a threefold repetition';
+
+        if (this.flaggedColor) {
+            return {
+                result: this.flaggedColor === 'white' ? '0-1' : '1-0',
+                reason: `${this.flaggedColor === 'white' ? 'Black' : 'White'} wins on time`,
+            };
         }
-        else {
-            return 'the game was inconclusive';
+
+        return getVariantTermination(this.variant, this.game) ?? getBoardTermination(this.game);
+    }
+
+    /**
+     * Gets the game result in PGN notation.
+     * @returns {string} 1-0, 0-1, 1/2-1/2, or * if the game is not finished
+     */
+    getResult() {
+        return this.getTermination()?.result ?? '*';
+    }
+
+    getOutcome() {
+        const outcome = this.getTermination()?.reason ?? (this.spectator ? 'the game was stopped before the end' : 'the game was inconclusive');
+        return this.variant === 'standard' ? outcome : `${outcome} (${VARIANTS[this.variant]})`;
+    }
+
+    /**
+     * Saves the result of the game to the stats.
+     */
+    recordResult() {
+        const moves = this.game.history().length;
+
+        // Games ended before anyone moved, or that the user only watched, are not worth keeping. Puzzles have their own progress
+        if (!moves || this.spectator || this.puzzle) {
+            return;
         }
+
+        const opponentSide = this.getOpponentColor()[0];
+
+        const results = {
+            '1-0': this.color === 'white' ? 'win' : 'loss',
+            '0-1': this.color === 'black' ? 'win' : 'loss',
+            '1/2-1/2': 'draw',
+        };
+        const profile = getCharacterProfile(getCharacterIndex(this.characters[opponentSide]));
+
+        recordGameResult({
+            id: this.gameId,
+            date: new Date().toISOString(),
+            character: this.getPlayerName(opponentSide),
+            userColor: this.color,
+            opponent: this.opponent,
+            opponentRating: profile?.rating ?? DEFAULT_OPPONENT_RATING,
+            result: results[this.getResult()] ?? 'unfinished',
+            termination: this.getOutcome(),
+            moves: Math.ceil(moves / 2),
+            pgn: this.getPgn(),
+        });
     }
 
     async endGame() {
+        if (this.isEnded) {
+            return;
+        }
+
+        this.isEnded = true;
+        // The game is disposed once the end of game comment is written, so switching chats can still cancel the analysis
+        this.stopPlay();
+
         const context = SillyTavern.getContext();
-        const injectId = `chess-${Math.random().toString(36).substring(2)}`;
 
         try {
             const message = context.chat[this.messageIndex];
-            message.mes = `[${context.name1} (${this.color}) played a game of chess against ${context.name2} (${this.getOpponentColor()}). Outcome: ${this.getOutcome()}]`;
+            if (context.getCurrentChatId() === this.chatId) {
+                this.recordResult();
+            }
+
+            const [player, opponent] = this.color === 'white' ? ['w', 'b'] : ['b', 'w'];
+            message.mes = this.puzzle
+                ? `[${this.getPlayerName(player)} worked on a chess puzzle (${this.puzzle.themes.join(', ')}) with ${this.getPlayerName(opponent)} as coach. Outcome: ${this.puzzleResult ? this.getOutcome() : 'the puzzle was left unfinished'}]`
+                : `[${this.getPlayerName(player)} (${this.color}) played a game of chess against ${this.getPlayerName(opponent)} (${this.getOpponentColor()}). Outcome: ${this.getOutcome()}]`;
             this.messageText.textContent = message.mes;
             this.chatMessage.style.order = '';
-            const commentPromptText = ChessGame.commentPrompt
-                .replace(/{{color}}/gi, this.color)
-                .replace(/{{opponent}}/gi, this.getOpponentColor())
-                .replace(/{{outcome}}/gi, this.getOutcome())
-                .replace(/{{fen}}/gi, this.game.fen());
-            const command = `/inject id="${injectId}" position="chat" depth="0" scan="true" role="system" ephemeral="true" ${commentPromptText} | /trigger await=true`;
-            await context.executeSlashCommands(command);
+            await this.saveState(true);
+        } catch (error) {
+            this.dispose();
+            throw error;
+        }
+
+        // The coach already reacted to the puzzle
+        if (this.puzzle) {
+            this.dispose();
+            return;
+        }
+
+        // Starting the next game doesn't wait for the analysis and the comment
+        this.commentOnGameEnd()
+            .catch(error => console.error('Chess: Failed to comment on the end of the game', error))
+            .finally(() => this.dispose());
+    }
+
+    /**
+     * Analyzes the finished game and lets the opponent comment on it.
+     */
+    async commentOnGameEnd() {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+        const { signal } = this.abortController;
+        const outcomeText = this.messageText.textContent;
+        const opponent = this.color === 'white' ? 'b' : 'w';
+        const promptKey = `chess-end-${this.gameId}`;
+        let analysis = '';
+
+        if (settings.postGameAnalysis && this.game.history().length) {
+            this.messageText.textContent = `${outcomeText} (analyzing the game...)`;
+            analysis = await this.getKeyMoments(signal);
+            this.messageText.textContent = outcomeText;
+
+            const reviewButton = document.createElement('button');
+            reviewButton.classList.add('menu_button', 'menu_button_icon');
+            reviewButton.innerHTML = '<i class="fa-solid fa-magnifying-glass-chart"></i><span>Game review</span>';
+            reviewButton.addEventListener('click', () => {
+                this.showReview();
+            });
+            this.messageText.appendChild(reviewButton);
+        }
+
+        // Nobody to comment for when the user only watched, and no one to comment to after a chat switch
+        if (this.spectator || signal.aborted || context.getCurrentChatId() !== this.chatId) {
+            return;
+        }
+
+        // The prompt goes through the macro engine when the reply is generated, so the names and the analysis can't bring in macros of their own
+        const escapeMacros = (text) => String(text).replace(/\{\{/g, '{ {').replace(/\}\}/g, '} }');
+        const commentPromptText = replaceMacros(settings.commentPrompt, {
+            color: this.color,
+            opponent: this.getOpponentColor(),
+            outcome: escapeMacros(this.getOutcome()),
+            fen: this.game.fen(),
+            pgn: escapeMacros(this.getPgn()),
+            analysis: escapeMacros(analysis),
+            opening: escapeMacros(this.describeOpening()),
+        });
+
+        context.setExtensionPrompt(promptKey, commentPromptText, extensionPromptTypes.IN_CHAT, 0, true, extensionPromptRoles.SYSTEM);
+
+        try {
+            // In group chats, the opponent should be the one to reply
+            const opponentIndex = getCharacterIndex(this.characters[opponent]);
+            await context.generate('normal', context.groupId && opponentIndex !== -1 ? { force_chid: opponentIndex } : {});
         } finally {
-            // Clear the inject
-            await context.executeSlashCommands(`/inject id="${injectId}"`);
+            context.setExtensionPrompt(promptKey, '', extensionPromptTypes.IN_CHAT, 0);
         }
     }
 
@@ -91,214 +658,1416 @@ class ChessGame {
             return;
         }
 
-        if (this.game.isGameOver()) {
+        if (this.isOver() || this.isEnded || this.isDisposed) {
+            return;
+        }
+
+        if (this.puzzle) {
+            await this.playPuzzleReply();
+            return;
+        }
+
+        // Positions from the opening book are played right away, favoring the character's favorite openings
+        if (getSettings().useOpeningBook) {
+            const bookFen = this.game.fen();
+            const favorites = getCharacterProfile(getCharacterIndex(this.characters[this.game.turn()]))?.openings ?? '';
+            const bookMove = pickBookMove(bookFen, favorites);
+
+            if (bookMove) {
+                await new Promise(resolve => setTimeout(resolve, BOOK_MOVE_DELAY));
+
+                if (!this.isDisposed && !this.isOver() && this.game.fen() === bookFen) {
+                    console.info(`Chess: ${this.game.moveNumber()}${this.game.turn() === 'w' ? '.' : '...'} ${bookMove} from the opening book`);
+                    this.applyOpponentMove(bookMove);
+                }
+
+                return;
+            }
+        }
+
+        // Characters take a draw by repetition or the 50-move rule unless they are better
+        const claimableDraw = getClaimableDraw(this.game);
+        if (claimableDraw && await this.isContentWithDraw(this.game.turn())) {
+            if (!this.isDisposed && !this.isOver() && getClaimableDraw(this.game) === claimableDraw) {
+                this.remark = '';
+                this.declareDraw(claimableDraw);
+            }
+            return;
+        }
+
+        if (this.opponent === 'engine') {
+            await this.makeEngineMove();
             return;
         }
 
+        const settings = getSettings();
         const fen = this.game.fen();
-        const moves = this.game.moves();
-        const ascii = this.game.ascii();
+        let moves = this.game.moves();
+        let movesString = settings.promptFormats.moves ? 'Available moves:' + '\n' + moves.join(', ') : '';
+        let systemPrompt = settings.opponentMovePrompt;
+
+        // Let the character choose from the moves shortlisted by the engine
+        if (this.opponent === 'hybrid') {
+            try {
+                const candidates = await runEngine('rank', { fen, level: this.engineLevel, rules: this.getEngineRules() }, this.abortController.signal);
+                moves = candidates.map(candidate => candidate.san);
+                movesString = 'Candidate moves:' + '\n' + candidates.map(candidate => `${candidate.san} (${candidate.comment})`).join('\n');
+                systemPrompt = settings.candidateMovePrompt;
+            } catch (error) {
+                console.error('Chess: Engine failed to rank the moves', error);
+            }
+        }
+
+        const side = this.game.turn();
+        const otherSide = side === 'w' ? 'b' : 'w';
+        const profile = getCharacterProfile(getCharacterIndex(this.characters[side]));
+
+        // Prompts written before the profiles existed still get the character's profile
+        if (profile && !systemPrompt.includes('{{profile}}')) {
+            systemPrompt = `${systemPrompt}\n\n{{profile}}`;
+        }
 
-        const systemPrompt = ChessGame.opponentMovePrompt
-            .replace('{{color}}', this.getOpponentColor().toUpperCase());
+        // {{char}} is whoever moves, and {{user}} is whoever they play against
+        systemPrompt = SillyTavern.getContext().substituteParams(replaceMacros(systemPrompt, {
+            profile: this.describePlayerProfile(side),
+            color: (side === 'w' ? 'white' : 'black').toUpperCase(),
+            opponent: (otherSide === 'w' ? 'white' : 'black').toUpperCase(),
+            fen: fen,
+            pgn: this.getPgn(),
+            opening: this.describeOpening(),
+        }), this.getPlayerName(otherSide), this.getPlayerName(side));
+
+        const promptParts = [
+            settings.promptFormats.fen ? fen : '',
+            settings.promptFormats.ascii ? this.game.ascii() : '',
+            settings.promptFormats.pgn && this.game.history().length ? 'Game so far:' + '\n' + this.getPgn() : '',
+            movesString,
+        ];
+        const prompt = promptParts.filter(x => x).join('\n\n');
+        const thinkingBudget = settings.thinkingBudget > 0 ? settings.thinkingBudget * 1000 : Infinity;
+        // Only the time spent generating the move counts, not the wait behind the commentary
+        let thinkingTime = 0;
+        const useSchema = settings.moveOutputFormat === 'json';
+        const jsonSchema = useSchema ? getMoveSchema(moves, settings.thinkFirst) : null;
+        const variantRules = describeVariant(this.variant, this.game, this.oddsColor);
+        if (variantRules) {
+            systemPrompt = `${systemPrompt}\n\n${variantRules}`;
+        }
+
+        systemPrompt = `${systemPrompt}\n\n${getAnswerInstructions(settings.moveOutputFormat, settings.thinkFirst)}`;
 
-        const maxRetries = 3;
+        const moveLabel = `${this.game.moveNumber()}${side === 'w' ? '.' : '...'}`;
+        const attempts = [];
+        let attemptPrompt = prompt;
+
+        for (let i = 0; i < settings.maxRetries; i++) {
+            let generationStart = null;
 
-        for (let i = 0; i < maxRetries; i++) {
             try {
-                const movesString = 'Available moves:' + '\n' + moves.join(', ');
-                const prompt = [fen, ascii, movesString].join('\n\n');
-                const reply = await generateRaw(prompt, '', false, false, systemPrompt);
-                const move = parseMove(reply);
+                const reply = await this.queueGeneration(() => {
+                    generationStart = Date.now();
+                    return useSchema
+                        ? generateRaw({ prompt: attemptPrompt, systemPrompt, jsonSchema })
+                        : generateRaw(attemptPrompt, '', false, false, systemPrompt);
+                }, thinkingBudget - thinkingTime);
+
+                // The game moved on while the reply was generated
+                if (this.isDisposed || this.game.fen() !== fen || this.isOver()) {
+                    return;
+                }
+
+                const { move, error } = parseMoveReply(reply, this.game);
+                attempts.push({ reply, move, error });
 
                 if (!move) {
-                    throw new Error('Failed to parse move');
+                    // Tell the model what went wrong on the next attempt
+                    attemptPrompt = addRetryFeedback(prompt, reply, error);
+                    continue;
+                }
+
+                console.info(`Chess: ${moveLabel} ${move} after ${attempts.length} attempt(s)`, attempts);
+                this.applyOpponentMove(move);
+                return;
+            } catch (error) {
+                // The game was closed, the queued generation is dropped
+                if (this.isDisposed) {
+                    return;
                 }
 
-                if (Array.isArray(move)) {
-                    this.game.move({ from: move[0], to: move[1] });
+                console.error('Chess: Failed to generate a move', error);
+                attempts.push({ reply: null, move: null, error: String(error) });
+
+                if (error instanceof TimeoutError) {
+                    toastr.info('The opponent ran out of thinking time.', 'Chess');
+                    break;
+                }
+            } finally {
+                if (generationStart !== null) {
+                    thinkingTime += Date.now() - generationStart;
                 }
+            }
+        }
+
+        console.warn(`Chess: ${moveLabel} no usable move after ${attempts.length} attempt(s), falling back to a ${settings.fallback} move`, attempts);
+
+        if (this.game.fen() !== fen || this.isOver()) {
+            return;
+        }
+
+        if (settings.fallback === 'random') {
+            this.makeRandomMove();
+        } else {
+            await this.makeEngineMove();
+        }
+    }
+
+    async makeEngineMove() {
+        const fen = this.game.fen();
+        let move = null;
+
+        try {
+            move = await runEngine('move', { fen, level: this.engineLevel, rules: this.getEngineRules() }, this.abortController.signal);
+        } catch (error) {
+            console.error('Chess: Engine failed to find a move', error);
+        }
+
+        // The position changed or the game was closed while the engine was thinking
+        if (this.isDisposed || this.game.fen() !== fen || this.isOver()) {
+            return;
+        }
+
+        // Make a random move as the last resort
+        if (!move) {
+            this.makeRandomMove();
+            return;
+        }
+
+        this.applyOpponentMove(move);
+    }
+
+    makeRandomMove() {
+        console.warn('Chess: Making a random move');
+        const moves = this.game.moves();
+        this.applyOpponentMove(moves[Math.floor(Math.random() * moves.length)]);
+    }
+
+    /**
+     * Plays the opponent's move on the board.
+     * @param {string|{from: string, to: string, promotion?: string}} move Move to play
+     */
+    applyOpponentMove(move) {
+        const playedMove = this.game.move(move);
+        this.viewedPly = null;
+        this.selectedSquare = null;
+        this.setBoardPosition(this.game.fen());
+        this.clock?.press(playedMove.color);
+        this.announce(`${this.getPlayerName(playedMove.color)}: ${describeMove(playedMove)}`);
+        this.updateStatus();
+        this.saveState();
+        this.commentOnMove(playedMove, this.getPlayerName(playedMove.color));
+
+        // Let the other character reply, with a pause to follow the game
+        if (this.spectator) {
+            this.moveTimer = setTimeout(() => this.tryMoveOpponent(), SPECTATOR_MOVE_DELAY);
+        }
+    }
+
+    /**
+     * Runs LLM generations one after another, so the move and the commentary requests don't overlap.
+     * Generations still queued when the game is disposed don't run, and the one running is stopped.
+     * A generation that runs out of time is let go of, so it doesn't hold up the next ones. Its reply is dropped when it comes.
+     * @param {() => Promise<string>} generate Generation to run
+     * @param {number} [timeout] Time limit in milliseconds from the start of the generation, Infinity to wait as long as it takes
+     * @returns {Promise<string>} Generated text
+     * @throws {TimeoutError} If the time limit is exceeded
+     * @throws {DOMException} If the game is disposed before the text is generated
+     */
+    queueGeneration(generate, timeout = Infinity) {
+        const { signal } = this.abortController;
+        const generation = this.generationQueue.then(async () => {
+            signal.throwIfAborted();
+
+            // Stopping the backend request ends generateRaw, and with it the wait of the generations queued behind
+            const stop = () => SillyTavern.getContext().stopGeneration();
+            signal.addEventListener('abort', stop, { once: true });
+
+            // generateRaw can't be stopped on its own without stopping every other generation, so only the wait for it is aborted
+            const requestController = new AbortController();
+            const timer = timeout === Infinity ? null : setTimeout(() => requestController.abort(new TimeoutError('Time limit exceeded')), Math.max(0, timeout));
+
+            try {
+                return await withSignal(generate(), requestController.signal);
+            } finally {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', stop);
+            }
+        });
+        this.generationQueue = generation.catch(() => {});
+        return withSignal(generation, signal);
+    }
+
+    /**
+     * Stops the play: the pending move, the clock, the board and its listeners. The game can't be played afterwards.
+     */
+    stopPlay() {
+        if (this.isPlayStopped) {
+            return;
+        }
+
+        this.isPlayStopped = true;
+        clearTimeout(this.moveTimer);
+        this.clock?.stop();
+        window.removeEventListener('resize', this.onWindowResize);
+        this.board?.destroy();
+    }
+
+    /**
+     * Stops everything the game has running: the play, generations and engine searches, including the analysis after the game.
+     */
+    dispose() {
+        if (this.isDisposed) {
+            return;
+        }
+
+        this.isDisposed = true;
+        this.abortController.abort();
+        this.stopPlay();
+        gameManager.remove(this);
+    }
+
+    /**
+     * Gets the variant rules for the engine in each position of the game.
+     * @returns {{fen: string, rules: {variant: string, checks: {w: number, b: number}}}[]} Positions from the start, with the checks given before each of them
+     */
+    getEnginePositions() {
+        const checks = { w: 0, b: 0 };
+        const positions = [{ fen: this.getStartFen(), rules: { variant: this.variant, checks: { ...checks } } }];
+
+        for (const move of this.game.history({ verbose: true })) {
+            if (/[+#]$/.test(move.san)) {
+                checks[move.color]++;
+            }
+
+            positions.push({ fen: move.after, rules: { variant: this.variant, checks: { ...checks } } });
+        }
+
+        return positions;
+    }
+
+    /**
+     * Gets the variant rules for the engine in a position of the game, so it plays King of the Hill and Three-check by their rules.
+     * @param {string} [fen] Position of the game, the current one by default
+     * @returns {{variant: string, checks: {w: number, b: number}}} Variant, and the checks given before the position
+     */
+    getEngineRules(fen = this.game.fen()) {
+        // Only Three-check needs the game history
+        if (this.variant !== 'threeCheck') {
+            return { variant: this.variant, checks: { w: 0, b: 0 } };
+        }
+
+        const positions = this.getEnginePositions();
+        return (positions.findLast(position => position.fen === fen) ?? positions.at(-1)).rules;
+    }
+
+    /**
+     * Evaluates the position, reusing earlier results.
+     * @param {string} fen Position to evaluate
+     * @returns {Promise<number>} Score in centipawns from White's point of view
+     */
+    async evaluate(fen) {
+        if (!this.evaluations.has(fen)) {
+            this.evaluations.set(fen, await runEngine('evaluate', { fen, rules: this.getEngineRules(fen) }, this.abortController.signal));
+        }
+
+        return this.evaluations.get(fen);
+    }
+
+    /**
+     * Evaluates every position of the game and marks the mistakes of both sides.
+     * @param {AbortSignal} [signal] Signal that stops the analysis, e.g. when the game is disposed
+     * @returns {Promise<{annotated: ReturnType<typeof annotateMoves>, evaluations: number[]}>} Game analysis
+     */
+    async analyzeGame(signal) {
+        const history = this.game.history({ verbose: true });
+        const positions = this.getEnginePositions();
+        const fens = positions.map(position => position.fen);
+
+        // Reuse the analysis if nothing changed since the last time
+        if (this.analysis?.fens.join() === fens.join()) {
+            return this.analysis;
+        }
+
+        const missing = positions.filter(position => !this.evaluations.has(position.fen));
+        const results = missing.length ? await runEngine('analyze', { fens: missing.map(position => position.fen), rules: missing.map(position => position.rules) }, signal) : [];
+        missing.forEach((position, index) => this.evaluations.set(position.fen, results[index]));
+
+        const evaluations = fens.map(fen => this.evaluations.get(fen));
+        this.analysis = { fens, evaluations, annotated: annotateMoves(history, evaluations) };
+        return this.analysis;
+    }
+
+    /**
+     * Shows the annotated move list and the evaluation graph in a popup.
+     */
+    async showReview() {
+        const context = SillyTavern.getContext();
+        toastr.info('Analyzing the game...', 'Chess');
+
+        try {
+            const { annotated, evaluations } = await this.analyzeGame();
+            const review = renderGameReview(annotated, evaluations, this.firstMoveNumber, this.firstMoveColor);
+            await context.callPopup(review, 'text', '', { wide: true });
+        } catch (error) {
+            console.error('Chess: Failed to analyze the game', error);
+            toastr.error('Failed to analyze the game', 'Chess');
+        }
+    }
+
+    /**
+     * Describes the key moments of the game for the end of game prompt.
+     * @param {AbortSignal} [signal] Signal that stops the analysis
+     * @returns {Promise<string>} Key moments, or an explanation if there are none
+     */
+    async getKeyMoments(signal) {
+        const players = {
+            w: this.getPlayerName('w'),
+            b: this.getPlayerName('b'),
+        };
+
+        try {
+            const { annotated } = await this.analyzeGame(signal);
+            const moments = describeKeyMoments(annotated, players, this.firstMoveNumber, this.firstMoveColor);
+            return moments || 'No serious mistakes were made by either side.';
+        } catch (error) {
+            console.error('Chess: Failed to analyze the game', error);
+            return 'The game was not analyzed.';
+        }
+    }
+
+    /**
+     * Lets the character react to the move in their own voice, if the move is worth it.
+     * In spectator games, the character who moved comments on their own move.
+     * @param {import('chess.js').Move} move Played move
+     * @param {string} mover Name of whoever played the move
+     */
+    async commentOnMove(move, mover) {
+        const settings = getSettings();
+
+        if (this.commentary === 'off') {
+            return;
+        }
+
+        const side = this.spectator ? move.color : this.getOpponentColor()[0];
+        const otherSide = side === 'w' ? 'b' : 'w';
+        const opening = this.describeOpening();
+
+        try {
+            let evalDrop = null;
+
+            try {
+                const sign = move.color === 'w' ? 1 : -1;
+                evalDrop = sign * (await this.evaluate(move.before) - await this.evaluate(move.after));
+            } catch (error) {
+                console.error('Chess: Failed to evaluate the move', error);
+            }
+
+            const events = selectEvents(describeMoveEvents(move, mover, evalDrop), this.commentary);
+
+            if (events.length === 0) {
+                return;
+            }
+
+            const context = SillyTavern.getContext();
+            const prompt = context.substituteParams(replaceMacros(settings.commentaryPrompt, {
+                color: side === 'w' ? 'white' : 'black',
+                opponent: otherSide === 'w' ? 'white' : 'black',
+                event: events.join('; '),
+                fen: move.after,
+                opening,
+            }), this.getPlayerName(otherSide), this.getPlayerName(side));
+            const reply = await this.queueGeneration(() => generateRaw(prompt, '', false, false, '', settings.commentaryMaxTokens));
+            await this.showRemark(side, reply);
+        } catch (error) {
+            if (!this.isDisposed) {
+                console.error('Chess: Failed to comment on the move', error);
+            }
+        }
+    }
+
+    /**
+     * Shows what a character said, in the speech bubble above the board or in the chat.
+     * @param {string} side Side of the character: w or b
+     * @param {string} reply Generated remark
+     */
+    async showRemark(side, reply) {
+        const remark = String(reply).trim();
+
+        if (!remark || this.isEnded || this.isDisposed) {
+            return;
+        }
+
+        if (getSettings().commentaryTarget === 'chat') {
+            await this.postRemark(side, remark);
+        } else {
+            this.remark = remark;
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * Adds a remark to the chat as a message from the character, as is: no macros or slash command syntax are processed.
+     * @param {string} side Side of the character: w or b
+     * @param {string} remark Remark text
+     */
+    async postRemark(side, remark) {
+        const context = SillyTavern.getContext();
+        const character = this.getCharacter(side);
+        const message = {
+            name: this.getPlayerName(side),
+            is_user: false,
+            is_system: false,
+            send_date: new Date().toISOString(),
+            mes: remark,
+            force_avatar: character ? context.getThumbnailUrl('avatar', character.avatar) : undefined,
+            original_avatar: character?.avatar,
+            extra: { api: 'manual', model: 'chess' },
+        };
+
+        context.chat.push(message);
+        const messageId = context.chat.length - 1;
+        await context.eventSource.emit(context.event_types.MESSAGE_RECEIVED, messageId);
+        context.addOneMessage(message);
+        await context.eventSource.emit(context.event_types.CHARACTER_MESSAGE_RENDERED, messageId);
+        await context.saveChat();
+    }
+
+    /**
+     * Plays the forced reply of the puzzle solution.
+     */
+    async playPuzzleReply() {
+        const fen = this.game.fen();
+        await new Promise(resolve => setTimeout(resolve, PUZZLE_REPLY_DELAY));
+
+        // The puzzle was closed or the position changed in the meantime
+        if (this.isEnded || this.isDisposed || this.isOver() || this.game.fen() !== fen) {
+            return;
+        }
+
+        const reply = this.puzzle.moves[this.game.history().length];
+
+        if (reply) {
+            this.applyOpponentMove(parseUciMove(reply));
+        }
+    }
+
+    /**
+     * Checks the user's move against the puzzle solution. Any checkmate is accepted too.
+     * @param {import('chess.js').Move} move Move the user just played
+     * @returns {boolean} Whether the move is correct; a wrong move is taken back
+     */
+    checkPuzzleMove(move) {
+        const expected = this.puzzle.moves[this.game.history().length - 1];
+
+        if (move.lan === expected || this.game.isCheckmate()) {
+            return true;
+        }
+
+        this.game.undo();
+        this.puzzleMistakes++;
+
+        const user = SillyTavern.getContext().name1;
+
+        if (this.puzzleMistakes >= MAX_PUZZLE_MISTAKES) {
+            const solution = getSolutionSan(this.puzzle, this.game.history().length).join(' ');
+            this.finishPuzzle('failed', `${user} played ${move.san}, the ${MAX_PUZZLE_MISTAKES}th wrong move, and failed the puzzle. The solution was ${solution}`);
+        } else {
+            this.announce(`${move.san} is not the solution`);
+            this.reactToPuzzle(`${user} tried ${move.san}, which is not the solution (wrong move ${this.puzzleMistakes} of ${MAX_PUZZLE_MISTAKES})`);
+        }
+
+        this.saveState();
+        return false;
+    }
+
+    /**
+     * Ends the puzzle, saves the result to the user's progress and lets the coach react.
+     * @param {string} result Result: solved or failed
+     * @param {string} event What happened, for the reaction prompt
+     */
+    finishPuzzle(result, event) {
+        this.puzzleResult = result;
+        recordPuzzleAttempt(SillyTavern.getContext().name1, this.puzzle.id, result, this.getPlayerName(this.getOpponentColor()[0]));
+        this.updateStatus();
+        this.reactToPuzzle(event);
+    }
+
+    /**
+     * Lets the coach react to a puzzle move.
+     * @param {string} event What happened
+     */
+    async reactToPuzzle(event) {
+        const settings = getSettings();
+        const context = SillyTavern.getContext();
+        const side = this.getOpponentColor()[0];
+
+        try {
+            const prompt = context.substituteParams(replaceMacros(settings.puzzleReactionPrompt, {
+                event,
+                themes: this.puzzle.themes.join(', '),
+                progress: describePuzzleProgress(context.name1),
+                fen: this.game.fen(),
+            }), context.name1, this.getPlayerName(side));
+            const reply = await this.queueGeneration(() => generateRaw(prompt, '', false, false, '', settings.commentaryMaxTokens));
+            await this.showRemark(side, reply);
+        } catch (error) {
+            if (!this.isDisposed) {
+                console.error('Chess: Failed to react to the puzzle', error);
+            }
+        }
+    }
+
+    /**
+     * Asks the coach for a hint toward the next move of the solution.
+     */
+    async requestPuzzleHint() {
+        if (!this.puzzle || this.isOver() || !this.isUserTurn()) {
+            return;
+        }
+
+        const settings = getSettings();
+        const context = SillyTavern.getContext();
+        const side = this.getOpponentColor()[0];
+        const ply = this.game.history().length;
+        this.puzzleHints++;
+        this.saveState();
+
+        try {
+            const prompt = context.substituteParams(replaceMacros(settings.puzzleHintPrompt, {
+                solution: getSolutionSan(this.puzzle, ply)[0],
+                hints: String(this.puzzleHints),
+                themes: this.puzzle.themes.join(', '),
+                progress: describePuzzleProgress(context.name1),
+                fen: this.game.fen(),
+            }), context.name1, this.getPlayerName(side));
+            const reply = await this.queueGeneration(() => generateRaw(prompt, '', false, false, '', settings.commentaryMaxTokens));
+
+            // The user moved on while the hint was generated
+            if (this.game.history().length === ply) {
+                await this.showRemark(side, reply);
+            }
+        } catch (error) {
+            if (this.isDisposed) {
+                return;
+            }
+
+            console.error('Chess: Failed to generate the hint', error);
+            toastr.error('The hint could not be generated', 'Chess');
+        }
+    }
+
+    removeGraySquares() {
+        document.querySelectorAll(`#${this.boardId} .square-55d63`).forEach((element) => {
+            element.classList.remove('gray');
+        });
+    }
+
+    graySquare(square) {
+        document.querySelector(`#${this.boardId} .square-${square}`).classList.add('gray');
+    }
+
+    /**
+     * Checks if the user may move a piece right now.
+     * @returns {boolean} Whether it's the user's turn in the current position and nothing else is pending
+     */
+    canUserMove() {
+        // Earlier positions are read-only, and the promotion piece has to be picked first
+        return !this.isOver() && !this.promotionPicker && this.viewedPly === null && this.isUserTurn();
+    }
+
+    onDragStart(source, piece) {
+        this.removeGraySquares();
+
+        // Don't pick up pieces when it's not the user's move
+        if (!this.canUserMove()) {
+            return false;
+        }
+    }
+
+    onDrop(source, target) {
+        this.removeGraySquares();
+
+        // A piece that was picked up and put back in place was clicked
+        if (source === target) {
+            this.onSquareClick(source);
+            return 'snapback';
+        }
+
+        this.clearSelection();
+
+        if (!this.moveFromSquares(source, target)) {
+            return 'snapback';
+        }
+    }
+
+    /**
+     * Plays a move given by its squares, asking for the piece when a pawn reaches the last rank.
+     * @param {string} source Square to move from
+     * @param {string} target Square to move to
+     * @returns {boolean} Whether the move is legal
+     */
+    moveFromSquares(source, target) {
+        if (this.isPromotion(source, target)) {
+            this.choosePromotion().then((promotion) => {
+                if (!promotion || !this.makeUserMove({ from: source, to: target, promotion })) {
+                    this.setBoardPosition(this.game.fen());
+                }
+            });
+            return true;
+        }
+
+        return this.makeUserMove({ from: source, to: target });
+    }
+
+    /**
+     * Handles a click (or Enter on the keyboard) on a square: selects a piece, or moves the selected one there.
+     * @param {string} square Clicked square
+     */
+    onSquareClick(square) {
+        if (!this.canUserMove()) {
+            this.clearSelection();
+            return;
+        }
+
+        const source = this.selectedSquare;
+
+        if (source && source !== square && this.game.moves({ square: source, verbose: true }).some(move => move.to === square)) {
+            this.clearSelection();
+            this.moveFromSquares(source, square);
+            return;
+        }
+
+        const hasMoves = this.game.moves({ square, verbose: true }).length > 0;
+        this.selectedSquare = hasMoves ? square : null;
+        this.renderSelection();
+
+        if (hasMoves) {
+            this.announce(`${describeSquare(this.game, square)} selected`);
+        }
+    }
+
+    clearSelection() {
+        this.selectedSquare = null;
+        this.renderSelection();
+    }
+
+    /**
+     * Marks the selected piece, its legal targets and the keyboard cursor on the board.
+     */
+    renderSelection() {
+        const boardElement = document.getElementById(this.boardId);
+
+        if (!boardElement) {
+            return;
+        }
+
+        boardElement.querySelectorAll('.chess-selected, .chess-target, .chess-focused').forEach((element) => {
+            element.classList.remove('chess-selected', 'chess-target', 'chess-focused');
+        });
+
+        const getSquare = (square) => boardElement.querySelector(`.square-${square}`);
+
+        if (this.selectedSquare) {
+            getSquare(this.selectedSquare)?.classList.add('chess-selected');
+
+            for (const move of this.game.moves({ square: this.selectedSquare, verbose: true })) {
+                getSquare(move.to)?.classList.add('chess-target');
+            }
+        }
+
+        if (this.boardFocused) {
+            getSquare(this.cursorSquare)?.classList.add('chess-focused');
+        }
+    }
+
+    /**
+     * Gets the position shown on the board, which is an earlier one when the history is browsed.
+     * @returns {string} Position in FEN
+     */
+    getDisplayedFen() {
+        if (this.viewedPly === null) {
+            return this.game.fen();
+        }
+
+        const history = this.game.history({ verbose: true });
+        return this.viewedPly === 0 ? this.getStartFen() : history[this.viewedPly - 1].after;
+    }
+
+    /**
+     * Shows a position on the board and marks the move that led to it.
+     * @param {string} fen Position in FEN
+     */
+    setBoardPosition(fen) {
+        this.board.position(fen);
+        this.renderHighlights();
+    }
+
+    /**
+     * Marks the last move, a king in check and the opponent's move arrow for the displayed position.
+     */
+    renderHighlights() {
+        const boardElement = document.getElementById(this.boardId);
+
+        if (!boardElement) {
+            return;
+        }
+
+        const settings = getSettings();
+        const history = this.game.history({ verbose: true });
+        const lastMove = history[(this.viewedPly ?? history.length) - 1] ?? null;
+        const position = new Chess(this.getDisplayedFen());
+        const checkedKing = position.inCheck() ? findKing(position, position.turn()) : null;
+
+        markSquares(boardElement, 'chess-last-move', settings.highlightMoves && lastMove ? [lastMove.from, lastMove.to] : []);
+        markSquares(boardElement, 'chess-check', settings.highlightMoves && checkedKing ? [checkedKing] : []);
+
+        // Spectators see arrows for both sides
+        const isOpponentMove = lastMove && (this.spectator || lastMove.color !== this.color[0]);
+        drawArrow(boardElement, settings.showMoveArrows && isOpponentMove ? lastMove : null);
+    }
+
+    /**
+     * Draws the board with the current appearance settings.
+     */
+    createBoard() {
+        const settings = getSettings();
+        const boardElement = document.getElementById(this.boardId);
+
+        this.board?.destroy();
+        this.pieceImage = getPieceTheme(settings.pieceTheme);
+        this.board = new Chessboard(this.boardId, {
+            draggable: true,
+            dropOffBoard: 'snapback',
+            position: this.getDisplayedFen(),
+            orientation: this.orientation,
+            showNotation: settings.showCoordinates,
+            pieceTheme: this.pieceImage,
+            onDragStart: this.onDragStart.bind(this),
+            onDrop: this.onDrop.bind(this),
+            onMouseoutSquare: this.onMouseoutSquare.bind(this),
+            onMouseoverSquare: this.onMouseoverSquare.bind(this),
+            onSnapEnd: this.onSnapEnd.bind(this),
+        });
+        applyBoardTheme(boardElement, settings.boardTheme);
+
+        // Redrawing clears the board element, the promotion picker included
+        if (this.promotionPicker) {
+            boardElement.appendChild(this.promotionPicker);
+        }
+
+        this.renderHighlights();
+        this.renderSelection();
+    }
+
+    /**
+     * Redraws the board after the appearance settings change.
+     */
+    applyAppearance() {
+        if (this.board && document.getElementById(this.boardId)) {
+            this.createBoard();
+        }
+    }
+
+    /**
+     * Turns the board around.
+     */
+    flipBoard() {
+        this.orientation = this.orientation === 'white' ? 'black' : 'white';
+        this.board.orientation(this.orientation);
+        this.renderHighlights();
+        this.renderSelection();
+    }
+
+    /**
+     * Lets the user walk the board with the arrow keys and pick moves with Enter or Space.
+     * @param {KeyboardEvent} event Key event
+     */
+    onBoardKeyDown(event) {
+        const cursor = moveCursor(this.cursorSquare, event.key, this.orientation);
+
+        if (cursor) {
+            event.preventDefault();
+            this.cursorSquare = cursor;
+            this.renderSelection();
+            this.announce(describeSquare(new Chess(this.getDisplayedFen()), cursor));
+            return;
+        }
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.onSquareClick(this.cursorSquare);
+            return;
+        }
+
+        if (event.key === 'Escape' && this.selectedSquare) {
+            event.preventDefault();
+            this.clearSelection();
+            this.announce('Selection cleared');
+        }
+    }
+
+    /**
+     * Plays a move typed by the user.
+     * @param {string} text Move in SAN (Nf3) or UCI (g1f3)
+     * @returns {string|null} Why the move can't be played, or null if it was played
+     */
+    makeTypedMove(text) {
+        if (this.isOver() || this.isEnded) {
+            return this.puzzle ? 'The puzzle has ended.' : 'The game has ended.';
+        }
+
+        if (!this.isUserTurn()) {
+            return 'It\'s not your turn.';
+        }
+
+        if (this.viewedPly !== null) {
+            return 'Go back to the current position to make a move.';
+        }
+
+        const { move, error } = parseMoveReply(String(text ?? '').replace(/\s+/g, ''), this.game);
+
+        if (!move) {
+            return error;
+        }
+
+        this.clearSelection();
+        if (this.makeUserMove(move)) {
+            return null;
+        }
+
+        return this.puzzle ? `${text} is not the solution.` : `${text} can't be played now.`;
+    }
+
+    /**
+     * Plays the user's move and passes the turn to the opponent.
+     * @param {string|{from: string, to: string, promotion?: string}} move Move to play
+     * @returns {boolean} Whether the move was legal
+     */
+    makeUserMove(move) {
+        if (this.isOver()) {
+            return false;
+        }
+
+        let playedMove;
+
+        try {
+            playedMove = this.game.move(move);
+        } catch {
+            // illegal move
+            return false;
+        }
+
+        // A wrong puzzle move is taken back
+        if (this.puzzle && !this.checkPuzzleMove(playedMove)) {
+            return false;
+        }
+
+        // Update position on board
+        this.viewedPly = null;
+        this.selectedSquare = null;
+        this.setBoardPosition(this.game.fen());
+        this.clock?.press(playedMove.color);
+        this.announce(`${this.getPlayerName(playedMove.color)}: ${describeMove(playedMove)}`);
+
+        this.remark = '';
+
+        if (this.puzzle && (this.game.isCheckmate() || this.game.history().length >= this.puzzle.moves.length)) {
+            const help = this.puzzleMistakes || this.puzzleHints
+                ? `after ${this.puzzleMistakes} wrong moves and ${this.puzzleHints} hints`
+                : 'on the first try without hints';
+            this.finishPuzzle('solved', `${SillyTavern.getContext().name1} solved the puzzle with ${playedMove.san}, ${help}`);
+        }
+
+        this.updateStatus();
+        this.saveState();
+        this.commentOnMove(playedMove, SillyTavern.getContext().name1);
+        this.tryMoveOpponent();
+        return true;
+    }
+
+    isPromotion(source, target) {
+        const moves = this.game.moves({ square: source, verbose: true });
+        return moves.some(move => move.to === target && move.promotion);
+    }
+
+    /**
+     * Shows the promotion picker over the board.
+     * @returns {Promise<string|null>} Selected piece, or null if the move was cancelled
+     */
+    choosePromotion() {
+        return new Promise((resolve) => {
+            const picker = document.createElement('div');
+            picker.classList.add('chess-promotion', 'flex-container', 'flexGap10', 'alignItemsCenter', 'justifyContentCenter');
+
+            const close = (piece) => {
+                picker.remove();
+                this.promotionPicker = null;
+                resolve(piece);
+            };
+
+            for (const [piece, name] of Object.entries(PROMOTION_PIECES)) {
+                const pieceImg = document.createElement('img');
+                pieceImg.src = this.pieceImage(`${this.game.turn()}${piece.toUpperCase()}`);
+                pieceImg.title = name;
+                pieceImg.addEventListener('click', () => close(piece));
+                picker.appendChild(pieceImg);
+            }
+
+            const cancelButton = document.createElement('button');
+            cancelButton.title = 'Cancel';
+            cancelButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-times');
+            cancelButton.addEventListener('click', () => close(null));
+            picker.appendChild(cancelButton);
+
+            this.promotionPicker = picker;
+            document.getElementById(this.boardId).appendChild(picker);
+        });
+    }
+
+    onMouseoverSquare(square, piece) {
+        if (this.isOver() || this.viewedPly !== null) {
+            return;
+        }
+
+        // If opponent's turn, don't highlight possible moves
+        if (!this.isUserTurn()) {
+            return;
+        }
+
+        // get list of possible moves for this square
+        const moves = this.game.moves({
+            square: square,
+            verbose: true,
+        });
+
+        // exit if there are no moves available for this square
+        if (moves.length === 0) {
+            return;
+        }
+
+        // highlight the square they moused over
+        this.graySquare(square);
+
+        // highlight the possible squares for this piece
+        for (let i = 0; i < moves.length; i++) {
+            this.graySquare(moves[i].to);
+        }
+    }
+
+    onMouseoutSquare(square, piece) {
+        this.removeGraySquares();
+    }
+
+    onSnapEnd() {
+        this.setBoardPosition(this.game.fen());
+    }
+
+    /**
+     * Shows an earlier position on the board without changing the game.
+     * @param {number|null} ply Number of half-moves from the start, or null for the current position
+     */
+    viewPly(ply) {
+        const history = this.game.history({ verbose: true });
+
+        if (ply === null || ply >= history.length) {
+            this.viewedPly = null;
+        } else {
+            this.viewedPly = Math.max(0, ply);
+        }
+
+        this.setBoardPosition(this.getDisplayedFen());
+
+        this.removeGraySquares();
+        this.clearSelection();
+        this.renderHistory();
+    }
+
+    /**
+     * Takes back all moves after the viewed position and continues the game from there.
+     */
+    resumeFromViewedPly() {
+        if (this.viewedPly === null || this.flaggedColor || this.resignedColor || this.drawReason) {
+            return;
+        }
+
+        while (this.game.history().length > this.viewedPly) {
+            this.game.undo();
+        }
+
+        this.viewedPly = null;
+        this.setBoardPosition(this.game.fen());
+        // The side to move may have changed, and a finished game runs again
+        this.startClock();
+        this.remark = '';
+        this.updateStatus();
+        this.saveState();
+        this.tryMoveOpponent();
+    }
+
+    renderHistory() {
+        const history = this.game.history();
+        const currentPly = this.viewedPly ?? history.length;
+        this.openingText.textContent = formatOpening(this.getOpening(currentPly));
+        this.historyList.innerHTML = '';
+
+        history.forEach((san, index) => {
+            const moveNumberText = formatMoveNumber(index, this.firstMoveNumber, this.firstMoveColor);
+
+            if (moveNumberText) {
+                const moveNumber = document.createElement('span');
+                moveNumber.classList.add('chess-move-number');
+                moveNumber.textContent = moveNumberText;
+                this.historyList.appendChild(moveNumber);
+            }
+
+            const moveLink = document.createElement('span');
+            moveLink.classList.add('chess-move');
+            moveLink.classList.toggle('chess-move-current', index + 1 === currentPly);
+            moveLink.textContent = san;
+            moveLink.addEventListener('click', () => this.viewPly(index + 1));
+            this.historyList.appendChild(moveLink);
+        });
+
+        // Keep the current move visible without scrolling the chat
+        const currentMove = this.historyList.querySelector('.chess-move-current');
+        if (currentMove instanceof HTMLElement) {
+            this.historyList.scrollTop = currentMove.offsetTop - this.historyList.clientHeight / 2;
+        }
+
+        this.resumeButton.classList.toggle('displayNone', this.viewedPly === null || Boolean(this.flaggedColor || this.resignedColor || this.drawReason));
+    }
+
+    /**
+     * Checks if the game is over, on the board or on the clock.
+     * @returns {boolean} Whether the game is over
+     */
+    isOver() {
+        return Boolean(this.getTermination());
+    }
+
+    /**
+     * Takes back the user's last move and the opponent's reply.
+     * @returns {string|null} Why nothing was taken back, or null if the moves were taken back
+     */
+    undoMove() {
+        if (this.puzzle) {
+            return 'Moves can\'t be taken back in a puzzle.';
+        }
+
+        if (this.spectator) {
+            return 'There are no moves of yours to take back.';
+        }
 
-                if (typeof move === 'string') {
-                    this.game.move(move);
-                }
+        // Only a game ended on the board can be taken back, like when resuming from an earlier move
+        if (this.flaggedColor || this.resignedColor || this.drawReason || (this.isOver() && this.isOpponentTurn())) {
+            return 'The game has ended.';
+        }
 
-                this.board.position(this.game.fen());
-                this.updateStatus();
-                return;
-            } catch (error) {
-                console.error('Failed to generate a move', error);
-            }
+        if (this.isOpponentTurn()) {
+            return 'Can\'t undo while the opponent is thinking.';
         }
 
-        // Make a random move if we failed to generate a move
-        console.warn('Chess: Making a random move');
-        const move = moves[Math.floor(Math.random() * moves.length)];
-        this.game.move(move);
-        this.board.position(this.game.fen());
-        this.updateStatus();
+        this.viewedPly = null;
 
-        function parseMove(reply) {
-            reply = String(reply).trim();
-            const regularMatch = reply.match(/([a-h][1-8]-[a-h][1-8])/g);
+        // Undo two moves if it's the user's turn
+        this.game.undo();
+        this.game.undo();
+        this.setBoardPosition(this.game.fen());
+        this.startClock();
 
-            if (regularMatch) {
-                return regularMatch[0].split('-');
-            }
+        this.remark = '';
+        this.updateStatus();
+        this.saveState();
+        this.tryMoveOpponent();
+        return null;
+    }
 
-            const notationMatch = reply.match(/([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(=[NBRQK])?(\+|#)?$|^O-O(-O)?/);
+    async resign() {
+        // Spectators have nothing to resign
+        if (this.spectator || this.isOver()) {
+            return;
+        }
 
-            if (notationMatch) {
-                return notationMatch[0];
-            }
+        this.resignedColor = this.color;
+        await this.endGame();
+    }
 
-            for (const move of moves) {
-                if (reply.toLowerCase().includes(move.toLowerCase())) {
-                    return move;
-                }
-            }
+    /**
+     * Ends the game as a draw.
+     * @param {string} reason How the draw came about, e.g. agreement or threefold repetition
+     */
+    declareDraw(reason) {
+        this.drawReason = reason;
+        this.clock?.stop();
+        this.updateStatus();
+        this.saveState();
+    }
 
-            return null;
+    /**
+     * Claims a draw for the user by repetition or the 50-move rule.
+     * @returns {boolean} Whether the claim was valid
+     */
+    claimDraw() {
+        const claimableDraw = getClaimableDraw(this.game);
+
+        if (!claimableDraw || !this.isUserTurn()) {
+            return false;
         }
-    }
 
-    removeGraySquares() {
-        document.querySelectorAll(`#${this.boardId} .square-55d63`).forEach((element) => {
-            element.classList.remove('gray');
-        });
+        this.declareDraw(claimableDraw);
+        return true;
     }
 
-    graySquare(square) {
-        document.querySelector(`#${this.boardId} .square-${square}`).classList.add('gray');
+    /**
+     * Checks if a side is happy with a draw, judging by the engine evaluation.
+     * @param {string} side w or b
+     * @returns {Promise<boolean>} Whether the side is not better
+     */
+    async isContentWithDraw(side) {
+        try {
+            const score = await this.evaluate(this.game.fen());
+            return (side === 'w' ? score : -score) <= DRAW_ACCEPT_SCORE;
+        } catch (error) {
+            console.error('Chess: Failed to evaluate the position', error);
+            return false;
+        }
     }
 
-    onDragStart(source, piece) {
-        // do not pick up pieces if the game is over
-        if (this.game.isGameOver()) {
+    /**
+     * Offers a draw to the character, who decides whether to take it.
+     * @returns {Promise<boolean>} Whether the draw was accepted
+     */
+    async offerDraw() {
+        if (this.isOver() || this.spectator || this.drawOfferPending) {
             return false;
         }
 
-        this.removeGraySquares();
+        const fen = this.game.fen();
 
-        // Don't drag opponent's pieces
-        if ((this.game.turn() === 'w' && this.color === 'black') ||
-            (this.game.turn() === 'b' && this.color === 'white')) {
+        if (this.declinedDrawFen === fen) {
+            toastr.info('The draw offer was already declined in this position.', 'Chess');
             return false;
         }
-    }
 
-    onDrop(source, target) {
-        this.removeGraySquares();
+        this.drawOfferPending = true;
+        this.remark = 'Considering your draw offer...';
+        this.updateStatus();
 
-        // see if the move is legal
         try {
-            this.game.move({
-                from: source,
-                to: target,
-                promotion: 'q', // NOTE: always promote to a queen for example simplicity
-            });
+            const { accepted, remark } = await this.considerDrawOffer();
 
-            // Update position on board
-            this.board.position(this.game.fen());
+            // The offer lapses once a move is made or the game is closed
+            if (this.isDisposed) {
+                return false;
+            }
 
-            this.updateStatus();
-            this.tryMoveOpponent();
-        } catch {
-            // illegal move
-            return 'snapback';
+            if (this.game.fen() !== fen || this.isOver()) {
+                this.remark = '';
+                this.updateStatus();
+                return false;
+            }
+
+            this.remark = remark;
+
+            if (accepted) {
+                toastr.success('Draw offer accepted.', 'Chess');
+                this.declareDraw('agreement');
+            } else {
+                toastr.info('Draw offer declined.', 'Chess');
+                this.declinedDrawFen = fen;
+                this.updateStatus();
+            }
+
+            return accepted;
+        } finally {
+            this.drawOfferPending = false;
         }
     }
 
-    onMouseoverSquare(square, piece) {
-        if (this.game.isGameOver()) {
-            return;
-        }
+    /**
+     * Asks the character whether to accept a draw. The engine decides for engine opponents, or when the LLM fails.
+     * @returns {Promise<{accepted: boolean, remark: string}>} Decision and an in-character remark
+     */
+    async considerDrawOffer() {
+        const side = this.getOpponentColor()[0];
+        const otherSide = this.color[0];
 
-        // If opponent's turn, don't highlight possible moves
-        if ((this.game.turn() === 'w' && this.color === 'black') ||
-            (this.game.turn() === 'b' && this.color === 'white')) {
-            return;
+        if (this.opponent !== 'engine') {
+            try {
+                const settings = getSettings();
+                const score = await this.evaluate(this.game.fen()).catch(() => 0);
+                const prompt = SillyTavern.getContext().substituteParams(replaceMacros(settings.drawOfferPrompt, {
+                    profile: this.describePlayerProfile(side),
+                    color: this.getOpponentColor(),
+                    opponent: this.color,
+                    fen: this.game.fen(),
+                    pgn: this.getPgn(),
+                    evaluation: formatEvaluation(side === 'w' ? score : -score),
+                }), this.getPlayerName(otherSide), this.getPlayerName(side));
+                const timeout = settings.thinkingBudget > 0 ? settings.thinkingBudget * 1000 : Infinity;
+                const reply = String(await this.queueGeneration(() => generateRaw(prompt, '', false, false, ''), timeout)).trim();
+                // The prompt asks for the decision first, so a remark like "I won't accept" can't be taken for it
+                const decision = reply.match(/^\W*(accept|decline)\b/i);
+
+                if (decision) {
+                    return {
+                        accepted: decision[1].toLowerCase() === 'accept',
+                        remark: reply.slice(decision[0].length).replace(/^[\s.,:;!-]+/, '').trim(),
+                    };
+                }
+
+                console.warn('Chess: Could not read the draw decision', reply);
+            } catch (error) {
+                console.error('Chess: Failed to generate the draw decision', error);
+            }
         }
 
-        // get list of possible moves for this square
-        const moves = this.game.moves({
-            square: square,
-            verbose: true,
-        });
+        const accepted = await this.isContentWithDraw(side);
+        return { accepted, remark: '' };
+    }
 
-        // exit if there are no moves available for this square
-        if (moves.length === 0) {
+    /**
+     * Handles the close button: ends a finished game, or offers to resign one in progress. Puzzles just close.
+     */
+    async requestEndGame() {
+        if (this.isOver() || this.spectator || this.puzzle) {
+            await this.endGame();
             return;
         }
 
-        // highlight the square they moused over
-        this.graySquare(square);
+        const context = SillyTavern.getContext();
+        const confirmation = await context.callPopup('The game is not over yet. Do you want to resign?', 'confirm', '', { okButton: 'Resign', cancelButton: 'Keep playing' });
 
-        // highlight the possible squares for this piece
-        for (let i = 0; i < moves.length; i++) {
-            this.graySquare(moves[i].to);
+        if (confirmation) {
+            await this.resign();
         }
     }
 
-    onMouseoutSquare(square, piece) {
-        this.removeGraySquares();
+    isOpponentTurn() {
+        return this.spectator || (this.game.turn() === 'w' && this.color === 'black') || (this.game.turn() === 'b' && this.color === 'white');
     }
 
-    onSnapEnd() {
-        this.board.position(this.game.fen());
+    isUserTurn() {
+        return !this.spectator && ((this.game.turn() === 'w' && this.color === 'white') || (this.game.turn() === 'b' && this.color === 'black'));
     }
 
-    isOpponentTurn() {
-        return (this.game.turn() === 'w' && this.color === 'black') || (this.game.turn() === 'b' && this.color === 'white');
+    /**
+     * Starts the clock of the side to move, or stops the clocks if the game is over. Safe to call again when the position changes.
+     */
+    startClock() {
+        if (!this.clock) {
+            this.opponentClock.style.display = 'none';
+            this.userClock.style.display = 'none';
+            return;
+        }
+
+        if (this.isOver()) {
+            this.clock.stop();
+            this.updateClocks();
+            return;
+        }
+
+        this.clock.start(this.game.turn(), () => this.updateClocks(), (color) => {
+            this.flaggedColor = color === 'w' ? 'white' : 'black';
+            this.updateClocks();
+            this.updateStatus();
+            this.saveState();
+        });
+        this.updateClocks();
     }
 
-    isUserTurn() {
-        return (this.game.turn() === 'w' && this.color === 'white') || (this.game.turn() === 'b' && this.color === 'black');
+    updateClocks() {
+        const userColor = this.color[0];
+        const opponentColor = this.getOpponentColor()[0];
+        this.userClock.textContent = formatClock(this.clock.timeLeft(userColor));
+        this.opponentClock.textContent = formatClock(this.clock.timeLeft(opponentColor));
+        this.userClock.classList.toggle('chess-clock-running', this.clock.running === userColor);
+        this.opponentClock.classList.toggle('chess-clock-running', this.clock.running === opponentColor);
     }
 
     updateStatus() {
-        if (this.game.isGameOver()) {
-            this.opponentStatusText.textContent = 'Game over. Press ✕ to close';
+        // Stop the clocks when the game is decided on the board
+        if (this.isOver()) {
+            this.clock?.stop();
+        }
+
+        // The coach's reaction to a finished puzzle stays in the bubble
+        if (this.isOver() && !(this.puzzle && this.remark)) {
+            this.opponentStatusText.textContent = this.puzzle ? 'Press ✕ to close, or ⏩ for the next puzzle' : 'Game over. Press ✕ to close';
+        }
+        else if (this.remark) {
+            this.opponentStatusText.textContent = this.remark;
         }
         else if (this.isOpponentTurn()) {
-            this.opponentStatusText.textContent = 'Thinking...';
+            this.opponentStatusText.textContent = this.spectator ? `${this.getPlayerName(this.game.turn())} is thinking...` : 'Thinking...';
         }
         else if (this.isUserTurn()) {
-            this.opponentStatusText.textContent = 'Your turn!';
+            this.opponentStatusText.textContent = this.puzzle ? `Find the best move for ${this.color === 'white' ? 'White' : 'Black'}!` : 'Your turn!';
         }
         else {
             this.opponentStatusText.textContent = '';
         }
 
-        if (this.game.isCheckmate()) {
-            this.userStatusText.textContent = `Checkmate! ${this.game.turn() === 'w' ? 'Black' : 'White'} wins`;
+        const termination = this.getTermination();
+        const claimableDraw = getClaimableDraw(this.game);
+
+        if (termination) {
+            this.userStatusText.textContent = termination.reason.charAt(0).toUpperCase() + termination.reason.slice(1);
         }
         else if (this.game.inCheck()) {
             this.userStatusText.textContent = `${this.game.turn() === 'w' ? 'White' : 'Black'} is in check`;
         }
-        else if (this.game.isStalemate()) {
-            this.userStatusText.textContent = 'Game is a stalemate';
-        }
-        else if (this.game.isDraw()) {
-            this.userStatusText.textContent = 'Game is a draw';
-        }
-        else if (this.game.isThreefoldRepetition()) {
-            this.userStatusText.textContent = 'Game is a threefold repetition';
+        else if (claimableDraw) {
+            this.userStatusText.textContent = `A draw can be claimed by ${claimableDraw}`;
         }
         else {
             this.userStatusText.textContent = '';
         }
+
+        const playing = !termination && !this.spectator && !this.puzzle;
+        this.resignButton.classList.toggle('displayNone', !playing);
+        this.drawButton.classList.toggle('displayNone', !playing);
+        this.claimDrawButton.classList.toggle('displayNone', !playing || !claimableDraw || !this.isUserTurn());
+        this.hintButton.classList.toggle('displayNone', !this.puzzle || Boolean(termination));
+        this.nextPuzzleButton.classList.toggle('displayNone', !this.puzzle || !termination);
+
+        // Read out remarks, checks and the end of the game once
+        const status = [this.remark, this.userStatusText.textContent].filter(text => text).join('. ');
+        if (status !== this.announcedStatus) {
+            this.announcedStatus = status;
+            this.announce(status);
+        }
+
+        this.renderHistory();
+    }
+
+    /**
+     * Reads a message out to screen reader users.
+     * @param {string} message Message to announce
+     */
+    announce(message) {
+        this.liveRegion?.announce(message);
     }
 
     async launch() {
-        ChessGame.gamesLaunched++;
         const context = SillyTavern.getContext();
         context.sendSystemMessage('generic', this.gameId);
 
         if (Array.isArray(context.chat)) {
             for (const message of context.chat) {
                 if (message.mes === this.gameId) {
-                    message.mes = `[${context.name1} plays a game of chess against ${context.name2}]`;
+                    message.mes = this.puzzle
+                        ? `[${this.getPlayerName(this.color[0])} solves a chess puzzle with ${this.getPlayerName(this.getOpponentColor()[0])} as coach]`
+                        : `[${this.getPlayerName(this.color[0])} plays a game of chess against ${this.getPlayerName(this.getOpponentColor()[0])}]`;
                     this.messageIndex = context.chat.indexOf(message);
                     break;
                 }
@@ -313,7 +2082,23 @@ class ChessGame {
             throw new Error('Could not find the chat message');
         }
 
-        const activeChar = context.characters[context.characterId];
+        this.mount(chatMessage);
+        await this.saveState();
+    }
+
+    /**
+     * Renders the game board in place of the chat message text.
+     * @param {HTMLElement} chatMessage Chat message element to render the board in
+     */
+    mount(chatMessage) {
+        const context = SillyTavern.getContext();
+        const chat = document.getElementById('chat');
+        const messageText = chatMessage.querySelector('.mes_text');
+        this.chatId = context.getCurrentChatId();
+
+        const opponentChar = this.getCharacter(this.getOpponentColor()[0]);
+        // In spectator games, the character playing White takes the user's place
+        const bottomChar = this.spectator ? this.getCharacter('w') : null;
         chatMessage.classList.remove('last_mes');
         messageText.innerHTML = '';
         const container = document.createElement('div');
@@ -325,16 +2110,19 @@ class ChessGame {
         const opponentAvatarContainer = document.createElement('div');
         opponentAvatarContainer.classList.add('avatar');
         const opponentAvatarImg = document.createElement('img');
-        opponentAvatarImg.src = activeChar ? context.getThumbnailUrl('avatar', activeChar?.avatar) : '/img/logo.png';
+        opponentAvatarImg.src = opponentChar ? context.getThumbnailUrl('avatar', opponentChar.avatar) : '/img/logo.png';
         opponentAvatarContainer.appendChild(opponentAvatarImg);
         topRowContainer.appendChild(opponentAvatarContainer);
         const opponentNameContainer = document.createElement('h3');
         opponentNameContainer.classList.add('margin0');
-        opponentNameContainer.textContent = activeChar?.name || 'SillyTavern';
+        opponentNameContainer.textContent = opponentChar?.name || 'SillyTavern';
         topRowContainer.appendChild(opponentNameContainer);
         const opponentChessColor = document.createElement('span');
         opponentChessColor.classList.add('fa-solid', this.getOpponentIcon(), 'fa-xl', `chess-${this.getOpponentColor()}`);
         topRowContainer.appendChild(opponentChessColor);
+        const opponentClock = document.createElement('span');
+        opponentClock.classList.add('chess-clock', 'monospace');
+        topRowContainer.appendChild(opponentClock);
         const opponentStatusText = document.createElement('q');
         opponentStatusText.textContent = '';
         topRowContainer.appendChild(opponentStatusText);
@@ -344,27 +2132,81 @@ class ChessGame {
         const undoButton = document.createElement('button');
         undoButton.title = 'Undo';
         undoButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-undo');
+        undoButton.classList.toggle('displayNone', this.spectator || Boolean(this.puzzle));
         undoButton.addEventListener('click', () => {
-            if (this.isOpponentTurn()) {
-                return;
-            }
+            const error = this.undoMove();
 
-            // Undo two moves if it's the user's turn
-            this.game.undo();
-            this.board.position(this.game.fen());
-
-            this.game.undo();
-            this.board.position(this.game.fen());
-
-            this.updateStatus();
-            this.tryMoveOpponent();
+            if (error) {
+                toastr.warning(error, 'Chess');
+            }
         });
         topRowContainer.appendChild(undoButton);
+        const exportButton = document.createElement('button');
+        exportButton.title = 'Export PGN';
+        exportButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-file-export');
+        exportButton.addEventListener('click', () => {
+            this.exportPgn();
+        });
+        topRowContainer.appendChild(exportButton);
+        const flipButton = document.createElement('button');
+        flipButton.title = 'Flip the board';
+        flipButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-arrows-up-down');
+        flipButton.addEventListener('click', () => {
+            this.flipBoard();
+        });
+        topRowContainer.appendChild(flipButton);
+        const reviewButton = document.createElement('button');
+        reviewButton.title = 'Game review';
+        reviewButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-magnifying-glass-chart');
+        reviewButton.addEventListener('click', () => {
+            this.showReview();
+        });
+        topRowContainer.appendChild(reviewButton);
+        const drawButton = document.createElement('button');
+        drawButton.title = 'Offer a draw';
+        drawButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-handshake');
+        drawButton.addEventListener('click', () => {
+            this.offerDraw();
+        });
+        topRowContainer.appendChild(drawButton);
+        const claimDrawButton = document.createElement('button');
+        claimDrawButton.title = 'Claim a draw';
+        claimDrawButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-scale-balanced');
+        claimDrawButton.addEventListener('click', () => {
+            this.claimDraw();
+        });
+        topRowContainer.appendChild(claimDrawButton);
+        const resignButton = document.createElement('button');
+        resignButton.title = 'Resign';
+        resignButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-flag');
+        resignButton.addEventListener('click', async () => {
+            const confirmation = await context.callPopup('Do you want to resign?', 'confirm', '', { okButton: 'Resign', cancelButton: 'Keep playing' });
+
+            if (confirmation) {
+                await this.resign();
+            }
+        });
+        topRowContainer.appendChild(resignButton);
+        const hintButton = document.createElement('button');
+        hintButton.title = 'Ask for a hint';
+        hintButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-lightbulb');
+        hintButton.addEventListener('click', () => {
+            this.requestPuzzleHint();
+        });
+        topRowContainer.appendChild(hintButton);
+        const nextPuzzleButton = document.createElement('button');
+        nextPuzzleButton.title = 'Next puzzle';
+        nextPuzzleButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-forward');
+        nextPuzzleButton.addEventListener('click', async () => {
+            await this.endGame();
+            await launchPuzzle();
+        });
+        topRowContainer.appendChild(nextPuzzleButton);
         const endGameButton = document.createElement('button');
         endGameButton.title = 'End Game';
         endGameButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-times');
         endGameButton.addEventListener('click', () => {
-            this.endGame();
+            this.requestEndGame();
         });
         topRowContainer.appendChild(endGameButton);
         container.appendChild(topRowContainer);
@@ -373,17 +2215,30 @@ class ChessGame {
         chessboardContainer.id = this.boardId;
         chessboardContainer.classList.add('wide100p', 'chessboard');
         container.appendChild(chessboardContainer);
-        this.board = new Chessboard(this.boardId, {
-            draggable: true,
-            dropOffBoard: 'snapback',
-            position: this.game.fen(),
-            orientation: this.color,
-            pieceTheme: (p) => CHESSPIECES[p],
-            onDragStart: this.onDragStart.bind(this),
-            onDrop: this.onDrop.bind(this),
-            onMouseoutSquare: this.onMouseoutSquare.bind(this),
-            onMouseoverSquare: this.onMouseoverSquare.bind(this),
-            onSnapEnd: this.onSnapEnd.bind(this),
+        this.createBoard();
+
+        // Pieces can also be moved by clicking, or with the arrow keys and Enter
+        chessboardContainer.tabIndex = 0;
+        chessboardContainer.setAttribute('role', 'application');
+        chessboardContainer.setAttribute('aria-label', 'Chessboard. Use the arrow keys to move between squares, Enter to pick a piece and its destination, Escape to cancel.');
+        chessboardContainer.addEventListener('click', (event) => {
+            const square = event.target instanceof Element ? event.target.closest('[data-square]') : null;
+            if (square && !this.promotionPicker) {
+                this.onSquareClick(square.getAttribute('data-square'));
+            }
+        });
+        chessboardContainer.addEventListener('keydown', (event) => {
+            if (event.target === chessboardContainer) {
+                this.onBoardKeyDown(event);
+            }
+        });
+        chessboardContainer.addEventListener('focus', () => {
+            this.boardFocused = true;
+            this.renderSelection();
+        });
+        chessboardContainer.addEventListener('blur', () => {
+            this.boardFocused = false;
+            this.renderSelection();
         });
 
         const selectedUserAvatar = document.querySelector('#user_avatar_block .selected img')?.src;
@@ -392,23 +2247,97 @@ class ChessGame {
         const userAvatarContainer = document.createElement('div');
         userAvatarContainer.classList.add('avatar');
         const userAvatarImg = document.createElement('img');
-        userAvatarImg.src = selectedUserAvatar || '/img/logo.png';
+        userAvatarImg.src = bottomChar ? context.getThumbnailUrl('avatar', bottomChar.avatar) : selectedUserAvatar || '/img/logo.png';
         userAvatarContainer.appendChild(userAvatarImg);
         const userNameContainer = document.createElement('h3');
         userNameContainer.classList.add('margin0');
-        userNameContainer.textContent = context.name1;
+        userNameContainer.textContent = this.getPlayerName(this.color[0]);
         const userChessColor = document.createElement('span');
         userChessColor.classList.add('fa-solid', 'fa-chess-king', 'fa-xl', `chess-${this.color}`);
         const userStatusText = document.createElement('q');
         userStatusText.textContent = '';
+        const userClock = document.createElement('span');
+        userClock.classList.add('chess-clock', 'monospace');
         bottomRowContainer.appendChild(userStatusText);
+        bottomRowContainer.appendChild(userClock);
         bottomRowContainer.appendChild(userChessColor);
         bottomRowContainer.appendChild(userNameContainer);
         bottomRowContainer.appendChild(userAvatarContainer);
         container.appendChild(bottomRowContainer);
 
-        // Detach the message from the chat flow
-        const order = (20000 + ChessGame.gamesLaunched).toFixed(0);
+        const moveInputContainer = document.createElement('form');
+        moveInputContainer.classList.add('flex-container', 'flexNoWrap', 'flexGap5', 'alignItemsCenter', 'chess-move-input');
+        moveInputContainer.classList.toggle('displayNone', this.spectator);
+        const moveInput = document.createElement('input');
+        moveInput.type = 'text';
+        moveInput.classList.add('text_pole', 'margin0');
+        moveInput.placeholder = 'Type a move, e.g. Nf3 or g1f3';
+        moveInput.setAttribute('aria-label', 'Your move');
+        moveInput.autocomplete = 'off';
+        moveInputContainer.appendChild(moveInput);
+        const moveInputButton = document.createElement('button');
+        moveInputButton.type = 'submit';
+        moveInputButton.title = 'Play the typed move';
+        moveInputButton.classList.add('menu_button', 'menu_button_icon', 'margin0');
+        moveInputButton.innerHTML = '<i class="fa-solid fa-chess-pawn"></i><span>Play</span>';
+        moveInputContainer.appendChild(moveInputButton);
+        moveInputContainer.addEventListener('submit', (event) => {
+            event.preventDefault();
+
+            if (!moveInput.value.trim()) {
+                return;
+            }
+
+            const error = this.makeTypedMove(moveInput.value);
+
+            if (error) {
+                toastr.warning(error, 'Chess');
+                this.announce(error);
+                return;
+            }
+
+            moveInput.value = '';
+        });
+        container.appendChild(moveInputContainer);
+
+        const historyContainer = document.createElement('div');
+        historyContainer.classList.add('flex-container', 'flexFlowColumn', 'flexGap5', 'chess-history');
+        const openingText = document.createElement('div');
+        openingText.classList.add('chess-opening');
+        historyContainer.appendChild(openingText);
+        const historyList = document.createElement('div');
+        historyList.classList.add('chess-history-list');
+        historyContainer.appendChild(historyList);
+        const historyControls = document.createElement('div');
+        historyControls.classList.add('flex-container', 'justifyContentCenter', 'flexGap5');
+        const navigationButtons = [
+            ['First move', 'fa-backward-fast', () => this.viewPly(0)],
+            ['Previous move', 'fa-backward-step', () => this.viewPly((this.viewedPly ?? this.game.history().length) - 1)],
+            ['Next move', 'fa-forward-step', () => this.viewedPly !== null && this.viewPly(this.viewedPly + 1)],
+            ['Current position', 'fa-forward-fast', () => this.viewPly(null)],
+        ];
+        for (const [title, icon, onClick] of navigationButtons) {
+            const navigationButton = document.createElement('button');
+            navigationButton.title = title;
+            navigationButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', icon);
+            navigationButton.addEventListener('click', onClick);
+            historyControls.appendChild(navigationButton);
+        }
+        const resumeButton = document.createElement('button');
+        resumeButton.title = 'Take back the later moves and continue from this position';
+        resumeButton.classList.add('menu_button', 'menu_button_icon', 'displayNone');
+        resumeButton.innerHTML = '<i class="fa-solid fa-play"></i><span>Resume from here</span>';
+        resumeButton.addEventListener('click', () => this.resumeFromViewedPly());
+        historyControls.appendChild(resumeButton);
+        historyContainer.appendChild(historyControls);
+        container.appendChild(historyContainer);
+
+        const liveRegion = createLiveRegion();
+        container.appendChild(liveRegion.element);
+
+        // Detach the message from the chat flow, keeping the boards in launch order
+        const gamesLaunched = gameManager.add(this);
+        const order = (20000 + gamesLaunched).toFixed(0);
         chatMessage.style.order = order;
 
         chat.scrollTop = chat.scrollHeight;
@@ -417,18 +2346,70 @@ class ChessGame {
         this.userStatusText = userStatusText;
         this.messageText = messageText;
         this.chatMessage = chatMessage;
-
+        this.opponentClock = opponentClock;
+        this.userClock = userClock;
+        this.historyList = historyList;
+        this.openingText = openingText;
+        this.resumeButton = resumeButton;
+        this.resignButton = resignButton;
+        this.drawButton = drawButton;
+        this.claimDrawButton = claimDrawButton;
+        this.hintButton = hintButton;
+        this.nextPuzzleButton = nextPuzzleButton;
+        this.liveRegion = liveRegion;
+
+        const startPosition = new Chess(this.getStartFen());
+        this.firstMoveColor = startPosition.turn();
+        this.firstMoveNumber = startPosition.moveNumber();
+
+        this.startClock();
         this.updateStatus();
         this.tryMoveOpponent();
 
-        window.addEventListener('resize', () => {
+        this.onWindowResize = () => {
             this.board.resize();
-        });
+            this.renderHighlights();
+            this.renderSelection();
+        };
+        window.addEventListener('resize', this.onWindowResize);
+    }
+}
+
+/**
+ * Makes room for a new game. Only one game runs in a chat at a time, so the user decides whether to end the running one.
+ * @returns {Promise<boolean>} Whether a new game can start
+ */
+async function confirmNewGame() {
+    const context = SillyTavern.getContext();
+    const games = /** @type {ChessGame[]} */ (gameManager.getGames(context.getCurrentChatId()));
+
+    if (!games.length) {
+        return true;
+    }
+
+    // Games in progress are resigned, the rest are just closed
+    const resigning = games.some(game => !game.isOver() && !game.spectator && !game.puzzle);
+    const text = `${games.at(-1).puzzle ? 'A puzzle' : 'A game'} is still running in this chat. Do you want to end it and start a new one?`;
+    const confirmation = await context.callPopup(text, 'confirm', '', { okButton: resigning ? 'Resign and start' : 'End and start', cancelButton: 'Keep playing' });
+
+    if (!confirmation) {
+        return false;
+    }
+
+    for (const game of games) {
+        if (game.isOver() || game.spectator || game.puzzle) {
+            await game.endGame();
+        } else {
+            await game.resign();
+        }
     }
+
+    return true;
 }
 
 async function launchChessGame() {
     const context = SillyTavern.getContext();
+    const settings = getSettings();
 
     const modalBody = document.createElement('div');
     modalBody.classList.add('flex-container', 'flexFlowColumn');
@@ -452,9 +2433,185 @@ async function launchChessGame() {
     randomOption.value = 'random';
     randomOption.textContent = 'Random';
     colorSelect.appendChild(randomOption);
+    const watchOption = document.createElement('option');
+    watchOption.value = 'watch';
+    watchOption.textContent = 'Watch two characters play';
+    colorSelect.appendChild(watchOption);
     modalBody.appendChild(colorSelect);
 
-    colorSelect.value = 'random';
+    colorSelect.value = settings.defaultColor;
+
+    const chatCharacters = getChatCharacters();
+    const createCharacterSelect = (label, selected) => {
+        const characterText = document.createElement('div');
+        characterText.textContent = label;
+        modalBody.appendChild(characterText);
+        const characterSelect = document.createElement('select');
+        characterSelect.classList.add('text_pole');
+        for (const { avatar, name } of chatCharacters) {
+            const characterOption = document.createElement('option');
+            characterOption.value = name;
+            characterOption.textContent = name;
+            characterOption.selected = avatar === selected?.avatar;
+            characterSelect.appendChild(characterOption);
+        }
+        modalBody.appendChild(characterSelect);
+        return [characterText, characterSelect];
+    };
+    const opponentCharacterRow = createCharacterSelect('Play against:', chatCharacters[0]);
+    const whiteCharacterRow = createCharacterSelect('White:', chatCharacters[0]);
+    const blackCharacterRow = createCharacterSelect('Black:', chatCharacters[1] ?? chatCharacters[0]);
+    const [, characterSelect] = opponentCharacterRow;
+    const [, whiteSelect] = whiteCharacterRow;
+    const [, blackSelect] = blackCharacterRow;
+
+    // Only group chats have a choice of opponent, but anyone can watch a character play themselves
+    const updateCharacterRows = () => {
+        const watching = colorSelect.value === 'watch';
+        opponentCharacterRow.forEach(element => element.classList.toggle('displayNone', watching || chatCharacters.length < 2));
+        [...whiteCharacterRow, ...blackCharacterRow].forEach(element => element.classList.toggle('displayNone', !watching));
+    };
+    colorSelect.addEventListener('change', updateCharacterRows);
+    updateCharacterRows();
+
+    const modalText2 = document.createElement('div');
+    modalText2.textContent = 'Opponent:';
+    modalBody.appendChild(modalText2);
+
+    const opponentSelect = document.createElement('select');
+    opponentSelect.id = 'chess-opponent-select';
+    opponentSelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(OPPONENT_OPTIONS)) {
+        const opponentOption = document.createElement('option');
+        opponentOption.value = value;
+        opponentOption.textContent = name;
+        opponentSelect.appendChild(opponentOption);
+    }
+    modalBody.appendChild(opponentSelect);
+
+    opponentSelect.value = settings.defaultOpponent;
+
+    const modalText3 = document.createElement('div');
+    modalText3.textContent = 'Engine strength (also narrows the character\'s candidate moves):';
+    modalBody.appendChild(modalText3);
+
+    const levelSelect = document.createElement('select');
+    levelSelect.id = 'chess-level-select';
+    levelSelect.classList.add('text_pole');
+    for (const [level, { name }] of Object.entries(ENGINE_LEVELS)) {
+        const levelOption = document.createElement('option');
+        levelOption.value = level;
+        levelOption.textContent = `${level} - ${name}`;
+        levelSelect.appendChild(levelOption);
+    }
+    modalBody.appendChild(levelSelect);
+
+    const updateLevel = () => {
+        const profile = colorSelect.value === 'watch' ? null : getCharacterProfile(getCharacterIndex(findChatCharacter(characterSelect.value)?.avatar));
+        levelSelect.value = String(profile ? ratingToEngineLevel(profile.rating) : settings.engineLevel);
+    };
+    colorSelect.addEventListener('change', updateLevel);
+    characterSelect.addEventListener('change', updateLevel);
+    updateLevel();
+
+    const profileButton = document.createElement('div');
+    profileButton.classList.add('menu_button', 'menu_button_icon');
+    profileButton.innerHTML = '<i class="fa-solid fa-user-pen"></i><span>Edit the character\'s chess profile</span>';
+    profileButton.addEventListener('click', async () => {
+        await editCharacterProfile(getCharacterIndex(findChatCharacter(characterSelect.value)?.avatar));
+        updateLevel();
+    });
+    const updateProfileButton = () => {
+        profileButton.classList.toggle('displayNone', colorSelect.value === 'watch' || !characterSelect.value);
+    };
+    colorSelect.addEventListener('change', updateProfileButton);
+    updateProfileButton();
+    modalBody.appendChild(profileButton);
+
+    const commentaryText = document.createElement('div');
+    commentaryText.textContent = 'Live commentary:';
+    modalBody.appendChild(commentaryText);
+
+    const commentarySelect = document.createElement('select');
+    commentarySelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(COMMENTARY_FREQUENCIES)) {
+        const commentaryOption = document.createElement('option');
+        commentaryOption.value = value;
+        commentaryOption.textContent = name;
+        commentarySelect.appendChild(commentaryOption);
+    }
+    modalBody.appendChild(commentarySelect);
+
+    commentarySelect.value = settings.commentaryFrequency;
+
+    const recordText = document.createElement('small');
+    const updateRecord = () => {
+        recordText.textContent = describeRecord(characterSelect.value || context.name2);
+    };
+    characterSelect.addEventListener('change', updateRecord);
+    updateRecord();
+    modalBody.appendChild(recordText);
+
+    const timeControlText = document.createElement('div');
+    timeControlText.textContent = 'Time control:';
+    modalBody.appendChild(timeControlText);
+
+    const timeControlSelect = document.createElement('select');
+    timeControlSelect.id = 'chess-time-control-select';
+    timeControlSelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(TIME_CONTROLS)) {
+        const timeControlOption = document.createElement('option');
+        timeControlOption.value = value;
+        timeControlOption.textContent = name;
+        timeControlSelect.appendChild(timeControlOption);
+    }
+    modalBody.appendChild(timeControlSelect);
+
+    timeControlSelect.value = settings.defaultTimeControl;
+
+    const variantText = document.createElement('div');
+    variantText.textContent = 'Variant:';
+    modalBody.appendChild(variantText);
+
+    const variantSelect = document.createElement('select');
+    variantSelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(VARIANTS)) {
+        const variantOption = document.createElement('option');
+        variantOption.value = value;
+        variantOption.textContent = name;
+        variantSelect.appendChild(variantOption);
+    }
+    modalBody.appendChild(variantSelect);
+
+    const oddsText = document.createElement('div');
+    oddsText.textContent = 'Odds given by (plays without the piece):';
+    modalBody.appendChild(oddsText);
+
+    const oddsSelect = document.createElement('select');
+    oddsSelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(ODDS_OPTIONS)) {
+        const oddsOption = document.createElement('option');
+        oddsOption.value = value;
+        oddsOption.textContent = name;
+        oddsSelect.appendChild(oddsOption);
+    }
+    modalBody.appendChild(oddsSelect);
+
+    const updateOddsRow = () => {
+        [oddsText, oddsSelect].forEach(element => element.classList.toggle('displayNone', !isOddsVariant(variantSelect.value)));
+    };
+    variantSelect.addEventListener('change', updateOddsRow);
+    updateOddsRow();
+
+    const modalText4 = document.createElement('div');
+    modalText4.textContent = 'Start from position (FEN, or PGN to continue; leave empty for the variant\'s start position):';
+    modalBody.appendChild(modalText4);
+
+    const positionInput = document.createElement('textarea');
+    positionInput.id = 'chess-position-input';
+    positionInput.classList.add('text_pole', 'monospace');
+    positionInput.rows = 3;
+    modalBody.appendChild(positionInput);
 
     const result = await context.callPopup(modalBody, 'confirm', '', { okButton: 'Play', cancelButton: 'Cancel' });
 
@@ -462,41 +2619,259 @@ async function launchChessGame() {
         return;
     }
 
-    const selectedColor = colorSelect.value;
+    try {
+        return await startChessGame({
+            color: colorSelect.value,
+            opponent: opponentSelect.value,
+            engineLevel: Number(levelSelect.value),
+            startPosition: positionInput.value,
+            timeControl: timeControlSelect.value,
+            character: characterSelect.value,
+            white: whiteSelect.value,
+            black: blackSelect.value,
+            commentary: commentarySelect.value,
+            variant: variantSelect.value,
+            odds: oddsSelect.value,
+        });
+    } catch (error) {
+        console.error('Chess: Failed to start the game', error);
+        toastr.error(error.message, 'Chess');
+    }
+}
 
-    const game = new ChessGame(selectedColor);
-    return game.launch();
+/**
+ * Checks a game option given by name, e.g. in a slash command.
+ * @param {string} name Option name for the error message
+ * @param {string} value Given value, empty for the default
+ * @param {string[]} allowed Allowed values
+ * @throws {Error} If the value is not one of the allowed ones
+ */
+function validateOption(name, value, allowed) {
+    if (value && !allowed.includes(value)) {
+        throw new Error(`Unknown ${name} "${value}". Use one of: ${allowed.join(', ')}.`);
+    }
 }
 
-function addLaunchButton() {
-    const launchButton = document.createElement('div');
-    launchButton.id = 'chess-launch';
-    launchButton.classList.add('list-group-item', 'flex-container', 'flexGap5', 'interactable');
-    launchButton.tabIndex = 0;
-    launchButton.title = 'Launch Chess Game';
-    const chessIcon = document.createElement('i');
-    chessIcon.classList.add('fa-solid', 'fa-chess');
-    launchButton.appendChild(chessIcon);
-    const chessText = document.createElement('span');
-    chessText.textContent = 'Play Chess';
-    launchButton.appendChild(chessText);
+/**
+ * Starts a new game in the current chat.
+ * @param {object} options Game options, the settings defaults are used for anything missing
+ * @param {string} [options.color] User's color: white, black or random, or watch to let two characters play each other
+ * @param {string} [options.opponent] Who picks the opponent's moves: llm, hybrid or engine
+ * @param {number} [options.engineLevel] Engine strength level, defaults to the character's chess profile
+ * @param {string} [options.startPosition] FEN or PGN to start from
+ * @param {string} [options.timeControl] Time control in the "minutes+increment" format, or untimed
+ * @param {string} [options.character] Name of the character to play against, defaults to the first one in the chat
+ * @param {string} [options.white] Name of the character playing White when watching
+ * @param {string} [options.black] Name of the character playing Black when watching
+ * @param {string} [options.commentary] Live commentary frequency
+ * @param {string} [options.variant] Chess variant, standard chess by default
+ * @param {string} [options.odds] Side that gives odds in an odds game: white or black, defaults to the character (White when watching)
+ * @returns {Promise<ChessGame|null>} The started game, or null if the user kept the game already running
+ */
+async function startChessGame({ color, opponent, engineLevel, startPosition, timeControl, character, white, black, commentary, variant, odds } = {}) {
+    validateOption('color', color, ['white', 'black', 'random', 'watch']);
+    validateOption('opponent', opponent, Object.keys(OPPONENT_OPTIONS));
+    validateOption('commentary', commentary, Object.keys(COMMENTARY_FREQUENCIES));
+    validateOption('variant', variant, Object.keys(VARIANTS));
+    validateOption('odds', odds, Object.keys(ODDS_OPTIONS).filter(value => value));
+
+    const settings = getSettings();
+    const chatCharacters = getChatCharacters();
+    color = color || settings.defaultColor;
+
+    if (!chatCharacters.length) {
+        throw new Error('There is no character in this chat to play chess with.');
+    }
+
+    /**
+     * @param {string} name Character name, or empty for the default
+     * @param {number} fallback Index of the chat character to use by default
+     * @returns {string} Avatar file name of the character
+     */
+    const resolveCharacter = (name, fallback) => {
+        if (!name) {
+            return (chatCharacters[fallback] ?? chatCharacters[0]).avatar;
+        }
+
+        const found = findChatCharacter(name);
+
+        if (!found) {
+            throw new Error(`${name} is not in this chat.`);
+        }
+
+        return found.avatar;
+    };
+
+    const spectator = color === 'watch';
+
+    if (color === 'random') {
+        color = Math.random() > 0.5 ? 'white' : 'black';
+    }
+
+    const characters = spectator
+        ? { w: resolveCharacter(white, 0), b: resolveCharacter(black, 1) }
+        : { w: color === 'black' ? resolveCharacter(character, 0) : null, b: color === 'white' ? resolveCharacter(character, 0) : null };
+    const profile = spectator ? null : getCharacterProfile(getCharacterIndex(characters.w ?? characters.b));
+
+    if (!await confirmNewGame()) {
+        return null;
+    }
+
+    const game = new ChessGame(color, {
+        opponent: opponent || settings.defaultOpponent,
+        engineLevel: engineLevel || (profile ? ratingToEngineLevel(profile.rating) : settings.engineLevel),
+        startPosition: startPosition || '',
+        timeControl: timeControl || settings.defaultTimeControl,
+        characters,
+        spectator,
+        commentary: commentary || settings.commentaryFrequency,
+        variant: variant || 'standard',
+        oddsColor: odds ? odds[0] : null,
+    });
+    await game.launch();
+    return game;
+}
+
+/**
+ * Starts a puzzle in the current chat, with the character as coach.
+ * @param {object} options Puzzle options
+ * @param {string} [options.id] Puzzle id, defaults to the next puzzle the user should train
+ * @param {string} [options.character] Name of the coaching character, defaults to the first one in the chat
+ * @returns {Promise<ChessGame|null>} The started puzzle, or null if the user kept the game already running
+ */
+async function startPuzzle({ id, character } = {}) {
+    const context = SillyTavern.getContext();
+    const puzzle = id ? getPuzzle(id) : pickNextPuzzle(context.name1);
+
+    if (!puzzle) {
+        throw new Error(`There is no puzzle called ${id}.`);
+    }
+
+    const coach = character ? findChatCharacter(character) : getChatCharacters()[0];
+
+    if (!coach) {
+        throw new Error(character ? `${character} is not in this chat.` : 'There is no character in this chat to coach you.');
+    }
+
+    if (!await confirmNewGame()) {
+        return null;
+    }
+
+    const color = new Chess(puzzle.fen).turn() === 'w' ? 'white' : 'black';
+    const game = new ChessGame(color, {
+        startPosition: puzzle.fen,
+        timeControl: 'untimed',
+        characters: color === 'white' ? { w: null, b: coach.avatar } : { w: coach.avatar, b: null },
+        commentary: 'off',
+        puzzleId: puzzle.id,
+    });
+    await game.launch();
+    return game;
+}
+
+async function launchPuzzle() {
+    try {
+        return await startPuzzle();
+    } catch (error) {
+        console.error('Chess: Failed to start the puzzle', error);
+        toastr.error(error.message, 'Chess');
+    }
+}
+
+/**
+ * Finds chat messages with unfinished games and puts the boards back in place.
+ */
+function restoreChessGames() {
+    const context = SillyTavern.getContext();
+
+    if (!Array.isArray(context.chat)) {
+        return;
+    }
+
+    context.chat.forEach((message, index) => {
+        const state = message?.extra?.chess;
+
+        if (!state) {
+            return;
+        }
+
+        const chatMessage = document.querySelector(`#chat .mes[mesid="${index}"]`);
+
+        // Messages that are not rendered yet or already host a board are skipped
+        if (!chatMessage || chatMessage.querySelector('.chess-game')) {
+            return;
+        }
+
+        try {
+            const game = ChessGame.fromState(index, state);
+            game.mount(chatMessage);
+        } catch (error) {
+            console.error('Chess: Failed to restore the game', error);
+        }
+    });
+}
+
+/**
+ * Adds an entry to the extensions (wand) menu.
+ * @param {string} id Element id
+ * @param {string} icon Font Awesome icon class
+ * @param {string} text Entry text
+ * @param {string} title Tooltip
+ * @param {() => any} onClick Click handler
+ */
+function addMenuButton(id, icon, text, title, onClick) {
+    const menuButton = document.createElement('div');
+    menuButton.id = id;
+    menuButton.classList.add('list-group-item', 'flex-container', 'flexGap5', 'interactable');
+    menuButton.tabIndex = 0;
+    menuButton.title = title;
+    const menuIcon = document.createElement('i');
+    menuIcon.classList.add('fa-solid', icon);
+    menuButton.appendChild(menuIcon);
+    const menuText = document.createElement('span');
+    menuText.textContent = text;
+    menuButton.appendChild(menuText);
 
     const extensionsMenu = document.getElementById('chess_wand_container') ?? document.getElementById('extensionsMenu');
-    extensionsMenu.classList.add('interactable');
-    extensionsMenu.tabIndex = 0;
 
     if (!extensionsMenu) {
         throw new Error('Could not find the extensions menu');
     }
 
-    extensionsMenu.appendChild(launchButton);
-    launchButton.addEventListener('click', launchChessGame);
+    extensionsMenu.classList.add('interactable');
+    extensionsMenu.tabIndex = 0;
+    extensionsMenu.appendChild(menuButton);
+    menuButton.addEventListener('click', onClick);
+}
+
+function addLaunchButton() {
+    addMenuButton('chess-launch', 'fa-chess', 'Play Chess', 'Launch Chess Game', launchChessGame);
+    addMenuButton('chess-profile', 'fa-user-pen', 'Chess Profile', 'Edit the chess profile of the current character', () => editCharacterProfile());
+    addMenuButton('chess-puzzle', 'fa-puzzle-piece', 'Chess Puzzle', 'Solve a chess puzzle with the character as coach', launchPuzzle);
+    addMenuButton('chess-stats', 'fa-trophy', 'Chess Stats', 'Show the results and past games', showStats);
 }
 
 (function () {
     addLaunchButton();
+    addSettingsPanel({
+        onAppearanceChange: () => getActiveGame()?.applyAppearance(),
+    });
+    registerSlashCommands({
+        getActiveGame,
+        startGame: startChessGame,
+        startPuzzle,
+        editProfile: () => editCharacterProfile(),
+        showStats: async () => {
+            await showStats();
+            return describeRecord(SillyTavern.getContext().name2);
+        },
+    });
+
+    const { eventSource, event_types, registerMacro } = SillyTavern.getContext();
+
+    // The opening of the running game for the chat prompts too, e.g. in the Author's Note
+    registerMacro?.('opening', () => getActiveGame()?.describeOpening() ?? '');
 
-    const { eventSource, event_types } = SillyTavern.getContext();
     eventSource.makeLast(event_types.CHAT_CHANGED, () => {
         const { chatMetadata } = SillyTavern.getContext();
         for (const key in chatMetadata) {
@@ -506,5 +2881,9 @@ function addLaunchButton() {
                 delete chatMetadata[key];
             }
         }
+
+        // The boards of the previous chat are gone, the saved games get new ones
+        gameManager.disposeDetached(SillyTavern.getContext().getCurrentChatId());
+        restoreChessGames();
     });
 })();
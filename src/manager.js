@@ -0,0 +1,76 @@
+/**
+ * @typedef {object} ManagedGame
+ * @property {string} chatId Id of the chat the game is played in
+ * @property {boolean} isEnded Whether the game was closed
+ * @property {HTMLElement} chatMessage Chat message element that hosts the board
+ * @property {() => void} dispose Stops everything the game has running
+ */
+
+/**
+ * Keeps track of the games running in each chat, so they can be found and stopped.
+ */
+export class GameManager {
+    constructor() {
+        /** @type {Map<string, ManagedGame[]>} */
+        this.games = new Map();
+        this.gamesLaunched = 0;
+    }
+
+    /**
+     * Starts tracking a game that was put on a board.
+     * @param {ManagedGame} game Game
+     * @returns {number} Number of games launched so far, used to keep the boards in launch order
+     */
+    add(game) {
+        const games = this.games.get(game.chatId) ?? [];
+        games.push(game);
+        this.games.set(game.chatId, games);
+        return ++this.gamesLaunched;
+    }
+
+    /**
+     * Stops tracking a game.
+     * @param {ManagedGame} game Game
+     */
+    remove(game) {
+        const games = (this.games.get(game.chatId) ?? []).filter(other => other !== game);
+
+        if (games.length) {
+            this.games.set(game.chatId, games);
+        } else {
+            this.games.delete(game.chatId);
+        }
+    }
+
+    /**
+     * Gets the games still running in a chat.
+     * @param {string} chatId Chat id
+     * @returns {ManagedGame[]} Games, oldest first
+     */
+    getGames(chatId) {
+        return (this.games.get(chatId) ?? []).filter(game => !game.isEnded);
+    }
+
+    /**
+     * Gets the game the commands and settings apply to.
+     * @param {string} chatId Chat id
+     * @returns {ManagedGame|null} Most recently launched game still running in the chat, or null if there is none
+     */
+    getActiveGame(chatId) {
+        return this.getGames(chatId).at(-1) ?? null;
+    }
+
+    /**
+     * Stops the games whose boards are gone: those of other chats, and those of a chat that was reloaded.
+     * @param {string} chatId Id of the chat on screen
+     */
+    disposeDetached(chatId) {
+        const games = [...this.games.values()].flat();
+
+        for (const game of games) {
+            if (game.chatId !== chatId || !game.chatMessage?.isConnected) {
+                game.dispose();
+            }
+        }
+    }
+}
@@ -0,0 +1,174 @@
+export const MOVE_OUTPUT_FORMATS = {
+    line: 'MOVE: <move> line',
+    json: 'JSON schema (needs backend support)',
+};
+
+/**
+ * Longest part of a rejected answer quoted back to the model.
+ */
+const MAX_FEEDBACK_LENGTH = 300;
+
+/**
+ * Tells the model how to format the answer.
+ * @param {string} format Move output format: line or json
+ * @param {boolean} thinkFirst Whether the model should reason before answering
+ * @returns {string} Answer format instructions for the system prompt
+ */
+export function getAnswerInstructions(format, thinkFirst) {
+    if (format === 'json') {
+        return thinkFirst
+            ? 'Reply with a JSON object: first think about the position in "reasoning", then put your move in SAN in "move", e.g. {"reasoning": "...", "move": "Nc6"}.'
+            : 'Reply with a JSON object that holds your move in SAN, e.g. {"move": "Nc6"}.';
+    }
+
+    return thinkFirst
+        ? 'First think about the position in a few sentences. Then give your move in SAN on the last line, in the format MOVE: <move>, e.g. MOVE: Nc6.'
+        : 'Reply with your move in SAN in the format MOVE: <move>, e.g. MOVE: Nc6. Don\'t write anything else.';
+}
+
+/**
+ * Builds the JSON schema that only allows legal moves.
+ * @param {string[]} moves Moves to choose from, in SAN
+ * @param {boolean} thinkFirst Whether the model should reason before answering
+ * @returns {{name: string, strict: boolean, value: object}} JSON schema in the SillyTavern format
+ */
+export function getMoveSchema(moves, thinkFirst) {
+    const properties = {
+        move: { type: 'string', enum: moves },
+    };
+
+    if (thinkFirst) {
+        return {
+            name: 'chess_move',
+            strict: true,
+            value: {
+                type: 'object',
+                properties: { reasoning: { type: 'string' }, ...properties },
+                required: ['reasoning', 'move'],
+                additionalProperties: false,
+            },
+        };
+    }
+
+    return {
+        name: 'chess_move',
+        strict: true,
+        value: {
+            type: 'object',
+            properties,
+            required: ['move'],
+            additionalProperties: false,
+        },
+    };
+}
+
+/**
+ * Finds the move the model committed to in its answer.
+ * @param {string} reply Model answer
+ * @returns {string|null} Move as written by the model, or null if the answer doesn't follow the contract
+ */
+function extractMoveToken(reply) {
+    // Structured output, possibly wrapped in a code block
+    const json = reply.match(/\{[\s\S]*\}/);
+    if (json) {
+        try {
+            const move = JSON.parse(json[0])?.move;
+            if (typeof move === 'string' && move.trim()) {
+                return move.trim();
+            }
+        } catch {
+            // Not JSON after all, try the other formats
+        }
+    }
+
+    // The last MOVE: line wins, so moves mentioned while thinking don't count
+    const lines = [...reply.matchAll(/MOVE:\s*\**\s*([^\s*]+)/gi)];
+    if (lines.length) {
+        return lines.at(-1)[1];
+    }
+
+    // A bare move is fine too
+    const bare = reply.replace(/^["'`*\s]+|["'`*\s.]+$/g, '');
+    if (bare && !/\s/.test(bare)) {
+        return bare;
+    }
+
+    return null;
+}
+
+/**
+ * Cleans up a move token: annotations, quotes, zeros in castling, and punctuation.
+ * @param {string} token Move as written by the model
+ * @returns {string} Normalized move
+ */
+function normalizeToken(token) {
+    return token
+        .replace(/^["'`(]+|["'`).,;:]+$/g, '')
+        .replace(/[!?]+$/, '')
+        .replace(/^0-0-0/, 'O-O-O')
+        .replace(/^0-0/, 'O-O')
+        .replace(/[+#]$/, '');
+}
+
+/**
+ * Ignores the case of a SAN move. Only a lowercase b stays as it is, since it's the b-pawn and not a bishop.
+ * @param {string} san Move in SAN
+ * @returns {string} Move with a case that can be compared
+ */
+function foldSanCase(san) {
+    if (/^o-o/i.test(san)) {
+        return san.toUpperCase();
+    }
+
+    // n, r, q and k aren't files, so they can only be pieces
+    const first = /^[nrqk]/i.test(san) ? san.charAt(0).toUpperCase() : san.charAt(0);
+    return first + san.slice(1).toLowerCase();
+}
+
+/**
+ * Reads the move from the model answer and checks that it's legal.
+ * @param {string} reply Model answer
+ * @param {import('chess.js').Chess} chess Game in the position to move in
+ * @returns {{move: string|null, token: string|null, error: string|null}} Legal move in SAN, or the reason the answer was rejected
+ */
+export function parseMoveReply(reply, chess) {
+    reply = String(reply ?? '').trim();
+
+    if (!reply) {
+        return { move: null, token: null, error: 'The answer was empty.' };
+    }
+
+    const token = extractMoveToken(reply);
+
+    if (!token) {
+        return { move: null, token: null, error: 'The answer has no move in the MOVE: <move> format.' };
+    }
+
+    const normalized = normalizeToken(token);
+    const legalMoves = chess.moves({ verbose: true });
+    const found = legalMoves.find(move => move.san.replace(/[+#]$/, '') === normalized)
+        ?? legalMoves.find(move => [move.lan, `${move.from}-${move.to}${move.promotion ?? ''}`].includes(normalized.toLowerCase().replace('=', '')))
+        ?? legalMoves.find(move => foldSanCase(move.san.replace(/[+#]$/, '')) === foldSanCase(normalized));
+
+    if (!found) {
+        return {
+            move: null,
+            token,
+            error: `${token} is not a legal move in this position. Legal moves: ${legalMoves.map(move => move.san).join(', ')}.`,
+        };
+    }
+
+    return { move: found.san, token, error: null };
+}
+
+/**
+ * Builds the prompt for another attempt, telling the model what was wrong with the last answer.
+ * @param {string} prompt Original prompt
+ * @param {string} reply Rejected answer
+ * @param {string} error Why the answer was rejected
+ * @returns {string} Prompt with the feedback
+ */
+export function addRetryFeedback(prompt, reply, error) {
+    const quotedReply = String(reply ?? '').trim().slice(-MAX_FEEDBACK_LENGTH);
+    return `${prompt}\n\nYour previous answer was:\n${quotedReply}\n\nIt was rejected: ${error} Try again and follow the answer format.`;
+}
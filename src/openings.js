@@ -0,0 +1,247 @@
+import { Chess } from 'chess.js';
+
+/**
+ * @typedef {object} Opening
+ * @property {string} eco ECO code
+ * @property {string} name Opening name
+ * @property {string} moves Moves from the start position in SAN, separated by spaces
+ */
+
+/**
+ * Bundled opening book. Every line is played out in the book, and the position it ends in gets its name.
+ * @type {Opening[]}
+ */
+export const OPENINGS = [
+    { eco: 'A00', name: 'Polish Opening', moves: 'b4' },
+    { eco: 'A01', name: 'Nimzo-Larsen Attack', moves: 'b3' },
+    { eco: 'A02', name: 'Bird\'s Opening', moves: 'f4' },
+    { eco: 'A04', name: 'Zukertort Opening', moves: 'Nf3' },
+    { eco: 'A09', name: 'Réti Opening', moves: 'Nf3 d5 c4' },
+    { eco: 'A10', name: 'English Opening', moves: 'c4' },
+    { eco: 'A20', name: 'English Opening: King\'s English Variation', moves: 'c4 e5' },
+    { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5' },
+    { eco: 'A40', name: 'Queen\'s Pawn Game', moves: 'd4' },
+    { eco: 'A43', name: 'Old Benoni Defense', moves: 'd4 c5' },
+    { eco: 'A45', name: 'Indian Defense', moves: 'd4 Nf6' },
+    { eco: 'A45', name: 'Trompowsky Attack', moves: 'd4 Nf6 Bg5' },
+    { eco: 'A56', name: 'Benoni Defense', moves: 'd4 Nf6 c4 c5' },
+    { eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5' },
+    { eco: 'A60', name: 'Benoni Defense: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6' },
+    { eco: 'A80', name: 'Dutch Defense', moves: 'd4 f5' },
+    { eco: 'B00', name: 'King\'s Pawn Game', moves: 'e4' },
+    { eco: 'B01', name: 'Scandinavian Defense', moves: 'e4 d5' },
+    { eco: 'B01', name: 'Scandinavian Defense: Main Line', moves: 'e4 d5 exd5 Qxd5 Nc3 Qa5' },
+    { eco: 'B02', name: 'Alekhine Defense', moves: 'e4 Nf6' },
+    { eco: 'B06', name: 'Modern Defense', moves: 'e4 g6' },
+    { eco: 'B07', name: 'Pirc Defense', moves: 'e4 d6 d4 Nf6 Nc3 g6' },
+    { eco: 'B10', name: 'Caro-Kann Defense', moves: 'e4 c6' },
+    { eco: 'B12', name: 'Caro-Kann Defense: Advance Variation', moves: 'e4 c6 d4 d5 e5' },
+    { eco: 'B13', name: 'Caro-Kann Defense: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5' },
+    { eco: 'B18', name: 'Caro-Kann Defense: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5' },
+    { eco: 'B20', name: 'Sicilian Defense', moves: 'e4 c5' },
+    { eco: 'B21', name: 'Sicilian Defense: Smith-Morra Gambit', moves: 'e4 c5 d4 cxd4 c3' },
+    { eco: 'B22', name: 'Sicilian Defense: Alapin Variation', moves: 'e4 c5 c3' },
+    { eco: 'B23', name: 'Sicilian Defense: Closed', moves: 'e4 c5 Nc3' },
+    { eco: 'B30', name: 'Sicilian Defense: Old Sicilian', moves: 'e4 c5 Nf3 Nc6' },
+    { eco: 'B33', name: 'Sicilian Defense: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5' },
+    { eco: 'B40', name: 'Sicilian Defense: French Variation', moves: 'e4 c5 Nf3 e6' },
+    { eco: 'B50', name: 'Sicilian Defense: Modern Variations', moves: 'e4 c5 Nf3 d6' },
+    { eco: 'B54', name: 'Sicilian Defense: Open', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4' },
+    { eco: 'B70', name: 'Sicilian Defense: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6' },
+    { eco: 'B80', name: 'Sicilian Defense: Scheveningen Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6' },
+    { eco: 'B90', name: 'Sicilian Defense: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6' },
+    { eco: 'C00', name: 'French Defense', moves: 'e4 e6' },
+    { eco: 'C01', name: 'French Defense: Exchange Variation', moves: 'e4 e6 d4 d5 exd5 exd5' },
+    { eco: 'C02', name: 'French Defense: Advance Variation', moves: 'e4 e6 d4 d5 e5' },
+    { eco: 'C03', name: 'French Defense: Tarrasch Variation', moves: 'e4 e6 d4 d5 Nd2' },
+    { eco: 'C11', name: 'French Defense: Classical Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6' },
+    { eco: 'C15', name: 'French Defense: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4' },
+    { eco: 'C20', name: 'King\'s Pawn Game', moves: 'e4 e5' },
+    { eco: 'C21', name: 'Danish Gambit', moves: 'e4 e5 d4 exd4 c3' },
+    { eco: 'C22', name: 'Center Game', moves: 'e4 e5 d4 exd4 Qxd4' },
+    { eco: 'C23', name: 'Bishop\'s Opening', moves: 'e4 e5 Bc4' },
+    { eco: 'C25', name: 'Vienna Game', moves: 'e4 e5 Nc3' },
+    { eco: 'C30', name: 'King\'s Gambit', moves: 'e4 e5 f4' },
+    { eco: 'C33', name: 'King\'s Gambit Accepted', moves: 'e4 e5 f4 exf4' },
+    { eco: 'C40', name: 'King\'s Knight Opening', moves: 'e4 e5 Nf3' },
+    { eco: 'C41', name: 'Philidor Defense', moves: 'e4 e5 Nf3 d6' },
+    { eco: 'C42', name: 'Petrov\'s Defense', moves: 'e4 e5 Nf3 Nf6' },
+    { eco: 'C44', name: 'King\'s Knight Opening: Normal Variation', moves: 'e4 e5 Nf3 Nc6' },
+    { eco: 'C44', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4' },
+    { eco: 'C46', name: 'Three Knights Opening', moves: 'e4 e5 Nf3 Nc6 Nc3' },
+    { eco: 'C47', name: 'Four Knights Game', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6' },
+    { eco: 'C50', name: 'Italian Game', moves: 'e4 e5 Nf3 Nc6 Bc4' },
+    { eco: 'C50', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5' },
+    { eco: 'C51', name: 'Italian Game: Evans Gambit', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4' },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defense', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6' },
+    { eco: 'C57', name: 'Italian Game: Two Knights Defense, Fried Liver Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7' },
+    { eco: 'C60', name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5' },
+    { eco: 'C65', name: 'Ruy Lopez: Berlin Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6' },
+    { eco: 'C68', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6' },
+    { eco: 'C70', name: 'Ruy Lopez: Morphy Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4' },
+    { eco: 'C84', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7' },
+    { eco: 'C89', name: 'Ruy Lopez: Marshall Attack', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5' },
+    { eco: 'D00', name: 'Queen\'s Pawn Game', moves: 'd4 d5' },
+    { eco: 'D02', name: 'Queen\'s Pawn Game: London System', moves: 'd4 d5 Nf3 Nf6 Bf4' },
+    { eco: 'D06', name: 'Queen\'s Gambit', moves: 'd4 d5 c4' },
+    { eco: 'D07', name: 'Queen\'s Gambit Declined: Chigorin Defense', moves: 'd4 d5 c4 Nc6' },
+    { eco: 'D08', name: 'Queen\'s Gambit Declined: Albin Countergambit', moves: 'd4 d5 c4 e5' },
+    { eco: 'D10', name: 'Slav Defense', moves: 'd4 d5 c4 c6' },
+    { eco: 'D20', name: 'Queen\'s Gambit Accepted', moves: 'd4 d5 c4 dxc4' },
+    { eco: 'D30', name: 'Queen\'s Gambit Declined', moves: 'd4 d5 c4 e6' },
+    { eco: 'D35', name: 'Queen\'s Gambit Declined: Exchange Variation', moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5' },
+    { eco: 'D43', name: 'Semi-Slav Defense', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6' },
+    { eco: 'D80', name: 'Grünfeld Defense', moves: 'd4 Nf6 c4 g6 Nc3 d5' },
+    { eco: 'D85', name: 'Grünfeld Defense: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5' },
+    { eco: 'E00', name: 'Indian Defense: Normal Variation', moves: 'd4 Nf6 c4 e6' },
+    { eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3 d5 Bg2' },
+    { eco: 'E12', name: 'Queen\'s Indian Defense', moves: 'd4 Nf6 c4 e6 Nf3 b6' },
+    { eco: 'E20', name: 'Nimzo-Indian Defense', moves: 'd4 Nf6 c4 e6 Nc3 Bb4' },
+    { eco: 'E60', name: 'King\'s Indian Defense', moves: 'd4 Nf6 c4 g6' },
+    { eco: 'E92', name: 'King\'s Indian Defense: Classical Variation', moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5' },
+];
+
+/**
+ * How much more often the book plays a line with one of the character's favorite openings.
+ */
+const FAVORITE_WEIGHT = 10;
+
+/**
+ * Words that don't tell openings apart, so "Sicilian" and "Sicilian Defence" both find the Sicilian lines.
+ */
+const FILLER_WORDS = ['the', 'defense', 'defence', 'opening', 'variation', 'game'];
+
+/**
+ * @typedef {object} OpeningBook
+ * @property {Map<string, Opening>} named Openings by the position their line ends in
+ * @property {Map<string, {san: string, opening: Opening}[]>} continuations Book moves by position, with the line they belong to
+ */
+
+/** @type {OpeningBook|null} */
+let book = null;
+
+/**
+ * Gets the part of a FEN that identifies a position, so transpositions find the same opening.
+ * @param {string} fen Position in FEN
+ * @returns {string} Pieces, side to move, castling rights and en passant square
+ */
+function getPositionKey(fen) {
+    return fen.split(' ').slice(0, 4).join(' ');
+}
+
+/**
+ * Plays out the book lines once and indexes them by position.
+ * @returns {OpeningBook} Opening book
+ */
+function getBook() {
+    if (book) {
+        return book;
+    }
+
+    book = { named: new Map(), continuations: new Map() };
+
+    for (const opening of OPENINGS) {
+        const chess = new Chess();
+
+        for (const san of opening.moves.split(' ')) {
+            const key = getPositionKey(chess.fen());
+            const moves = book.continuations.get(key) ?? [];
+            moves.push({ san, opening });
+            book.continuations.set(key, moves);
+            chess.move(san);
+        }
+
+        // The first line to reach a position names it
+        const key = getPositionKey(chess.fen());
+        if (!book.named.has(key)) {
+            book.named.set(key, opening);
+        }
+    }
+
+    return book;
+}
+
+/**
+ * Splits a text into words for comparing opening names.
+ * @param {string} text Opening name or a favorite from the character's profile
+ * @returns {string[]} Lowercase words without accents, apostrophes and filler words
+ */
+function getNameWords(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f']/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !FILLER_WORDS.includes(word));
+}
+
+/**
+ * Checks if an opening is one of the character's favorites.
+ * @param {Opening} opening Opening
+ * @param {string} favorites Favorite openings from the chess profile, e.g. "Sicilian Najdorf, B12, King's Gambit"
+ * @returns {boolean} Whether a favorite names the opening or its ECO code
+ */
+function isFavorite(opening, favorites) {
+    const nameWords = getNameWords(opening.name);
+
+    return favorites.split(/[,;\n]/).some(favorite => {
+        const words = getNameWords(favorite);
+        return words.length > 0 && (favorite.trim().toUpperCase() === opening.eco || words.every(word => nameWords.includes(word)));
+    });
+}
+
+/**
+ * Finds the opening the game is in: the named position reached last.
+ * @param {string[]} fens Positions of the game, from the start position to the current one
+ * @returns {Opening|null} Opening, or null if the game never reached a named position
+ */
+export function findOpening(fens) {
+    const { named } = getBook();
+
+    for (let i = fens.length - 1; i >= 0; i--) {
+        const opening = named.get(getPositionKey(fens[i]));
+
+        if (opening) {
+            return opening;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Formats an opening for the board and the prompts.
+ * @param {Opening|null} opening Opening
+ * @returns {string} Name with the ECO code, e.g. "Sicilian Defense: Najdorf Variation (B90)", or an empty string
+ */
+export function formatOpening(opening) {
+    return opening ? `${opening.name} (${opening.eco})` : '';
+}
+
+/**
+ * Picks a book move for the position, with the lines of the favorite openings played more often.
+ * @param {string} fen Current position in FEN
+ * @param {string} [favorites] Favorite openings from the chess profile
+ * @returns {string|null} Move in SAN, or null if the position is not in the book
+ */
+export function pickBookMove(fen, favorites = '') {
+    const moves = getBook().continuations.get(getPositionKey(fen)) ?? [];
+    const weights = new Map();
+
+    for (const { san, opening } of moves) {
+        const weight = favorites.trim() && isFavorite(opening, favorites) ? FAVORITE_WEIGHT : 1;
+        weights.set(san, (weights.get(san) ?? 0) + weight);
+    }
+
+    let roll = Math.random() * [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+    for (const [san, weight] of weights) {
+        roll -= weight;
+
+        if (roll < 0) {
+            return san;
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,47 @@
+/* global SillyTavern */
+
+/**
+ * Gets the characters that can play in the current chat.
+ * @returns {{avatar: string, name: string}[]} Enabled group members in a group chat, or the character of a solo chat
+ */
+export function getChatCharacters() {
+    const context = SillyTavern.getContext();
+
+    if (context.groupId) {
+        const group = context.groups.find(group => group.id === context.groupId);
+        const disabledMembers = group?.disabled_members ?? [];
+
+        return (group?.members ?? [])
+            .filter(avatar => !disabledMembers.includes(avatar))
+            .map(avatar => context.characters.find(character => character.avatar === avatar))
+            .filter(character => character)
+            .map(character => ({ avatar: character.avatar, name: character.name }));
+    }
+
+    const character = context.characters[context.characterId];
+    return character ? [{ avatar: character.avatar, name: character.name }] : [];
+}
+
+/**
+ * Finds a character of the current chat by name or avatar file name.
+ * @param {string} nameOrAvatar Character name or avatar file name
+ * @returns {{avatar: string, name: string}|null} Character, or null if it's not in the chat
+ */
+export function findChatCharacter(nameOrAvatar) {
+    const characters = getChatCharacters();
+    const search = String(nameOrAvatar ?? '').trim().toLowerCase();
+
+    return characters.find(character => character.avatar.toLowerCase() === search)
+        ?? characters.find(character => character.name.toLowerCase() === search)
+        ?? null;
+}
+
+/**
+ * Gets the index of a character in the character list, which is used to read and write the card data.
+ * @param {string} avatar Avatar file name of the character
+ * @returns {number} Character index, or -1 if the character doesn't exist
+ */
+export function getCharacterIndex(avatar) {
+    const { characters } = SillyTavern.getContext();
+    return characters.findIndex(character => character.avatar === avatar);
+}
@@ -0,0 +1,228 @@
+/* global SillyTavern, toastr */
+
+const EXTENSION_KEY = 'chess';
+
+export const MIN_RATING = 400;
+export const MAX_RATING = 2800;
+
+export const PLAYING_STYLES = {
+    balanced: 'Balanced',
+    aggressive: 'Aggressive',
+    defensive: 'Defensive',
+    tricky: 'Tricky',
+};
+
+const STYLE_PROMPTS = {
+    balanced: 'You play a balanced, principled game.',
+    aggressive: 'You play aggressively: you go after the enemy king, open lines and gladly give up material for the initiative.',
+    defensive: 'You play defensively: you keep your king safe, avoid risks and wait for the opponent to overreach.',
+    tricky: 'You play tricky chess: you set traps, go for cheap tactics and prefer surprising moves that confuse the opponent.',
+};
+
+/**
+ * How a player of each rating plays, and the engine level that matches it. Ratings are checked from the top.
+ */
+const RATING_TIERS = [
+    { rating: 2400, description: 'a world-renowned chess grandmaster', engineLevel: 5 },
+    { rating: 2000, description: 'a chess master who rarely misses a tactic', engineLevel: 4 },
+    { rating: 1600, description: 'a solid club player', engineLevel: 3 },
+    { rating: 1000, description: 'a casual player who knows the basics but often overlooks threats', engineLevel: 2 },
+    { rating: 0, description: 'a complete novice who barely knows how the pieces move and often blunders', engineLevel: 1 },
+];
+
+export const DEFAULT_PROFILE = {
+    rating: 2700,
+    style: 'balanced',
+    openings: '',
+    includeDescription: false,
+    includePersona: false,
+};
+
+/**
+ * Gets the rating tier of a player.
+ * @param {number} rating Elo-like rating
+ * @returns {typeof RATING_TIERS[number]} Rating tier
+ */
+function getRatingTier(rating) {
+    return RATING_TIERS.find(tier => rating >= tier.rating) ?? RATING_TIERS.at(-1);
+}
+
+/**
+ * Gets the engine level that plays at about the given rating.
+ * @param {number} rating Elo-like rating
+ * @returns {number} Engine strength level
+ */
+export function ratingToEngineLevel(rating) {
+    return getRatingTier(rating).engineLevel;
+}
+
+/**
+ * Gets the chess profile stored in the character card.
+ * @param {string|number} characterId Index of the character
+ * @returns {typeof DEFAULT_PROFILE|null} Chess profile, or null if the character doesn't have one
+ */
+export function getCharacterProfile(characterId) {
+    const { characters } = SillyTavern.getContext();
+    const profile = characters[characterId]?.data?.extensions?.[EXTENSION_KEY];
+
+    if (!profile) {
+        return null;
+    }
+
+    return { ...DEFAULT_PROFILE, ...profile };
+}
+
+/**
+ * Saves the chess profile to the character card.
+ * @param {string|number} characterId Index of the character
+ * @param {typeof DEFAULT_PROFILE|null} profile Chess profile, or null to remove it
+ */
+export async function saveCharacterProfile(characterId, profile) {
+    const { writeExtensionField } = SillyTavern.getContext();
+    await writeExtensionField(characterId, EXTENSION_KEY, profile);
+}
+
+/**
+ * Describes how the character plays for the move prompts.
+ * @param {typeof DEFAULT_PROFILE|null} profile Chess profile, or null for the default grandmaster
+ * @param {object} [players] Who plays the game
+ * @param {string} [players.description] Description of the character that moves
+ * @param {string} [players.opponentDescription] Persona of the user, or description of the other character when two characters play
+ * @returns {string} Profile description
+ */
+export function describeProfile(profile, { description = '', opponentDescription = '' } = {}) {
+    if (!profile) {
+        return `You are ${RATING_TIERS[0].description}.`;
+    }
+
+    const parts = [
+        `{{char}} is ${getRatingTier(profile.rating).description} (rated about ${profile.rating}). Play at that level, not better.`,
+        STYLE_PROMPTS[profile.style] ?? STYLE_PROMPTS.balanced,
+    ];
+
+    if (profile.openings.trim()) {
+        parts.push(`Your favorite openings: ${profile.openings.trim()}. Steer the game towards them when you can.`);
+    }
+
+    if (profile.includeDescription && description.trim()) {
+        parts.push(`About {{char}}: ${description.trim()}`);
+    }
+
+    if (profile.includePersona && opponentDescription.trim()) {
+        parts.push(`About your opponent {{user}}: ${opponentDescription.trim()}`);
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * Opens a popup to edit the chess profile of a character.
+ * Uses the stacking popup, so it can be opened on top of the game setup.
+ * @param {number|string} [characterId] Index of the character, defaults to the current character
+ */
+export async function editCharacterProfile(characterId = SillyTavern.getContext().characterId) {
+    const context = SillyTavern.getContext();
+    const character = context.characters[characterId];
+
+    if (!character) {
+        toastr.warning('Select a character to edit their chess profile.', 'Chess');
+        return;
+    }
+
+    const existingProfile = getCharacterProfile(characterId);
+    const profile = existingProfile ?? structuredClone(DEFAULT_PROFILE);
+
+    const modalBody = document.createElement('div');
+    modalBody.classList.add('flex-container', 'flexFlowColumn');
+
+    const title = document.createElement('h3');
+    title.textContent = `${character.name}'s chess profile`;
+    modalBody.appendChild(title);
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.classList.add('checkbox_label');
+    const enabledCheckbox = document.createElement('input');
+    enabledCheckbox.type = 'checkbox';
+    enabledCheckbox.checked = Boolean(existingProfile);
+    enabledLabel.appendChild(enabledCheckbox);
+    const enabledText = document.createElement('span');
+    enabledText.textContent = 'Use a chess profile for this character';
+    enabledLabel.appendChild(enabledText);
+    modalBody.appendChild(enabledLabel);
+
+    const ratingText = document.createElement('div');
+    modalBody.appendChild(ratingText);
+    const ratingInput = document.createElement('input');
+    ratingInput.type = 'range';
+    ratingInput.min = String(MIN_RATING);
+    ratingInput.max = String(MAX_RATING);
+    ratingInput.step = '100';
+    ratingInput.value = String(profile.rating);
+    const updateRatingText = () => {
+        const rating = Number(ratingInput.value);
+        ratingText.textContent = `Strength: ${rating} (${getRatingTier(rating).description}, engine level ${ratingToEngineLevel(rating)})`;
+    };
+    ratingInput.addEventListener('input', updateRatingText);
+    updateRatingText();
+    modalBody.appendChild(ratingInput);
+
+    const styleText = document.createElement('div');
+    styleText.textContent = 'Playing style:';
+    modalBody.appendChild(styleText);
+    const styleSelect = document.createElement('select');
+    styleSelect.classList.add('text_pole');
+    for (const [value, name] of Object.entries(PLAYING_STYLES)) {
+        const styleOption = document.createElement('option');
+        styleOption.value = value;
+        styleOption.textContent = name;
+        styleSelect.appendChild(styleOption);
+    }
+    styleSelect.value = profile.style;
+    modalBody.appendChild(styleSelect);
+
+    const openingsText = document.createElement('div');
+    openingsText.textContent = 'Favorite openings:';
+    modalBody.appendChild(openingsText);
+    const openingsInput = document.createElement('input');
+    openingsInput.type = 'text';
+    openingsInput.classList.add('text_pole');
+    openingsInput.placeholder = 'e.g. Sicilian Defense, King\'s Gambit';
+    openingsInput.value = profile.openings;
+    modalBody.appendChild(openingsInput);
+
+    const createCheckbox = (label, checked) => {
+        const row = document.createElement('label');
+        row.classList.add('checkbox_label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        row.appendChild(checkbox);
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        row.appendChild(labelText);
+        modalBody.appendChild(row);
+        return checkbox;
+    };
+    const descriptionCheckbox = createCheckbox('Include the character description in the move prompt', profile.includeDescription);
+    const personaCheckbox = createCheckbox('Include the opponent (your persona, or the other character) in the move prompt', profile.includePersona);
+
+    const result = await context.callGenericPopup(modalBody, context.POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel' });
+
+    if (result !== context.POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    try {
+        await saveCharacterProfile(characterId, enabledCheckbox.checked ? {
+            rating: Number(ratingInput.value),
+            style: styleSelect.value,
+            openings: openingsInput.value,
+            includeDescription: descriptionCheckbox.checked,
+            includePersona: personaCheckbox.checked,
+        } : null);
+        toastr.success(`Saved ${character.name}'s chess profile.`, 'Chess');
+    } catch (error) {
+        console.error('Chess: Failed to save the chess profile', error);
+        toastr.error('Failed to save the chess profile', 'Chess');
+    }
+}
@@ -0,0 +1,148 @@
+/* global SillyTavern */
+
+import { Chess } from 'chess.js';
+import { getSettings } from './settings';
+
+/**
+ * Wrong moves allowed before the puzzle counts as failed.
+ */
+export const MAX_PUZZLE_MISTAKES = 3;
+
+/**
+ * @typedef {object} Puzzle
+ * @property {string} id Puzzle id
+ * @property {string} fen Position the user solves, with the user to move
+ * @property {string[]} moves Solution in UCI: the user's moves and the forced replies, taking turns
+ * @property {string[]} themes What the puzzle is about
+ * @property {number} rating Rough difficulty
+ */
+
+/**
+ * Bundled puzzle set, easiest first.
+ * @type {Puzzle[]}
+ */
+export const PUZZLES = [
+    { id: 'fools-mate', fen: 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2', moves: ['d8h4'], themes: ['mate in 1', 'opening trap'], rating: 400 },
+    { id: 'scholars-mate', fen: 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5Q2/PPPP1PPP/RNB1K1NR w KQkq - 4 4', moves: ['f3f7'], themes: ['mate in 1', 'opening trap'], rating: 500 },
+    { id: 'back-rank', fen: '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', moves: ['d1d8'], themes: ['mate in 1', 'back rank mate'], rating: 600 },
+    { id: 'back-rank-black', fen: '3r2k1/5ppp/8/8/8/8/5PPP/6K1 b - - 0 1', moves: ['d8d1'], themes: ['mate in 1', 'back rank mate'], rating: 600 },
+    { id: 'back-rank-capture', fen: '2r3k1/5ppp/8/8/8/8/5PPP/2R1R1K1 w - - 0 1', moves: ['c1c8'], themes: ['mate in 1', 'back rank mate'], rating: 700 },
+    { id: 'battery', fen: '2r3k1/5ppp/8/8/8/8/2Q2PPP/2R3K1 w - - 0 1', moves: ['c2c8'], themes: ['mate in 1', 'back rank mate'], rating: 700 },
+    { id: 'corner-rook', fen: 'k7/pp6/8/8/8/8/8/1R2K2R w - - 0 1', moves: ['h1h8'], themes: ['mate in 1', 'back rank mate'], rating: 700 },
+    { id: 'queen-and-rook', fen: '6k1/5ppp/4p3/8/8/8/1Q3PPP/1R4K1 w - - 0 1', moves: ['b2b8'], themes: ['mate in 1', 'back rank mate'], rating: 750 },
+    { id: 'rook-and-pawn', fen: '6k1/6p1/6KP/8/8/8/8/1R6 w - - 0 1', moves: ['b1b8'], themes: ['mate in 1', 'endgame'], rating: 800 },
+    { id: 'smothered-mate', fen: '6rk/6pp/8/6N1/8/8/8/6K1 w - - 0 1', moves: ['g5f7'], themes: ['mate in 1', 'smothered mate'], rating: 800 },
+    { id: 'arabian-mate', fen: '7k/R7/5N2/8/8/8/8/6K1 w - - 0 1', moves: ['a7h7'], themes: ['mate in 1', 'arabian mate'], rating: 900 },
+    { id: 'royal-fork', fen: 'q3k3/8/8/3N4/8/8/8/4K3 w - - 0 1', moves: ['d5c7', 'e8d7', 'c7a8'], themes: ['fork', 'winning the queen'], rating: 1000 },
+    { id: 'skewer', fen: 'q7/8/8/3k4/8/8/4B3/4K3 w - - 0 1', moves: ['e2f3', 'd5e5', 'f3a8'], themes: ['skewer', 'winning the queen'], rating: 1100 },
+    { id: 'legals-mate', fen: 'rn1qkbnr/ppp2p1p/3p2p1/4N3/2B1P3/2N5/PPPP1PPP/R1BbK2R w KQkq - 0 6', moves: ['c4f7', 'e8e7', 'c3d5'], themes: ['mate in 2', 'opening trap', 'sacrifice'], rating: 1300 },
+    { id: 'philidors-legacy', fen: 'r6k/6pp/7N/8/8/1Q6/8/6K1 w - - 0 1', moves: ['b3g8', 'a8g8', 'h6f7'], themes: ['mate in 2', 'smothered mate', 'sacrifice'], rating: 1400 },
+    { id: 'morphy', fen: 'kbK5/pp6/1P6/8/8/8/8/R7 w - - 0 1', moves: ['a1a6', 'b7a6', 'b6b7'], themes: ['mate in 2', 'sacrifice', 'quiet move'], rating: 1600 },
+];
+
+/**
+ * Finds a puzzle by id.
+ * @param {string} id Puzzle id
+ * @returns {Puzzle|null} Puzzle, or null if there is no such puzzle
+ */
+export function getPuzzle(id) {
+    return PUZZLES.find(puzzle => puzzle.id === id) ?? null;
+}
+
+/**
+ * Converts a solution move to the format chess.js plays.
+ * @param {string} uci Move in UCI, e.g. e7e8q
+ * @returns {{from: string, to: string, promotion?: string}} Move
+ */
+export function parseUciMove(uci) {
+    return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] };
+}
+
+/**
+ * Writes the solution of a puzzle in SAN.
+ * @param {Puzzle} puzzle Puzzle
+ * @param {number} [fromPly] Number of solution moves already played
+ * @returns {string[]} Solution moves in SAN
+ */
+export function getSolutionSan(puzzle, fromPly = 0) {
+    const chess = new Chess(puzzle.fen);
+    return puzzle.moves.map(move => chess.move(parseUciMove(move)).san).slice(fromPly);
+}
+
+/**
+ * @typedef {object} PuzzleProgress
+ * @property {number} attempts Number of times the puzzle was finished
+ * @property {number} solved Number of times it was solved
+ * @property {string} lastResult Result of the last attempt: solved or failed
+ * @property {string} lastPlayed When the puzzle was last finished, as an ISO string
+ * @property {string} coach Name of the character who coached the last attempt
+ */
+
+/**
+ * Gets the puzzle progress of a user.
+ * @param {string} user User (persona) name
+ * @returns {Object<string, PuzzleProgress>} Progress by puzzle id
+ */
+export function getPuzzleProgress(user) {
+    return getSettings().puzzleProgress[user] ?? {};
+}
+
+/**
+ * Saves the result of a puzzle attempt.
+ * @param {string} user User (persona) name
+ * @param {string} puzzleId Puzzle id
+ * @param {string} result Result of the attempt: solved or failed
+ * @param {string} coach Name of the coaching character
+ */
+export function recordPuzzleAttempt(user, puzzleId, result, coach) {
+    const settings = getSettings();
+    const progress = settings.puzzleProgress[user] ?? {};
+    const previous = progress[puzzleId] ?? { attempts: 0, solved: 0 };
+
+    progress[puzzleId] = {
+        attempts: previous.attempts + 1,
+        solved: previous.solved + (result === 'solved' ? 1 : 0),
+        lastResult: result,
+        lastPlayed: new Date().toISOString(),
+        coach,
+    };
+    settings.puzzleProgress[user] = progress;
+    SillyTavern.getContext().saveSettingsDebounced();
+}
+
+/**
+ * Picks the puzzle to train next: the easiest new one, then the failed ones, then the one solved longest ago.
+ * @param {string} user User (persona) name
+ * @returns {Puzzle} Puzzle
+ */
+export function pickNextPuzzle(user) {
+    const progress = getPuzzleProgress(user);
+    const unsolved = PUZZLES.filter(puzzle => !progress[puzzle.id]?.solved);
+
+    if (unsolved.length) {
+        // Failed puzzles come back once the new ones are done
+        return [...unsolved].sort((a, b) => Number(Boolean(progress[a.id])) - Number(Boolean(progress[b.id])) || a.rating - b.rating)[0];
+    }
+
+    return [...PUZZLES].sort((a, b) => progress[a.id].lastPlayed.localeCompare(progress[b.id].lastPlayed))[0];
+}
+
+/**
+ * Sums up the puzzle progress of a user in a sentence, for the stats and the coach prompts.
+ * @param {string} user User (persona) name
+ * @returns {string} Progress summary
+ */
+export function describePuzzleProgress(user) {
+    const progress = getPuzzleProgress(user);
+    const attempted = PUZZLES.filter(puzzle => progress[puzzle.id]);
+
+    if (!attempted.length) {
+        return `${user} hasn't solved any puzzles yet.`;
+    }
+
+    const solved = attempted.filter(puzzle => progress[puzzle.id].solved);
+    const weakThemes = [...new Set(attempted.filter(puzzle => progress[puzzle.id].lastResult === 'failed').flatMap(puzzle => puzzle.themes))];
+    const summary = `${user} has solved ${solved.length} of ${PUZZLES.length} puzzles.`;
+
+    return weakThemes.length ? `${summary} Still struggling with: ${weakThemes.join(', ')}.` : summary;
+}
@@ -0,0 +1,369 @@
+/* global SillyTavern, toastr, Chessboard */
+
+import { Chess } from 'chess.js';
+import { formatMoveNumber } from './analysis';
+import { getPieceTheme } from './pieces';
+import { applyBoardTheme, markSquares } from './board';
+import { getSettings } from './settings';
+import { describePuzzleProgress } from './puzzles';
+
+/**
+ * Rating estimate settings: where the user starts, how strong characters without a profile are assumed to be,
+ * and how much a single game moves the rating.
+ */
+const BASE_RATING = 1200;
+export const DEFAULT_OPPONENT_RATING = 1500;
+const RATING_K_FACTOR = 32;
+
+/**
+ * Number of most recent games that keep their moves. Older games only keep the result, so the settings don't grow without bound.
+ */
+const MAX_SAVED_GAMES = 100;
+
+const RESULT_NAMES = {
+    win: 'Win',
+    draw: 'Draw',
+    loss: 'Loss',
+    unfinished: 'Unfinished',
+};
+
+/**
+ * @typedef {object} GameRecord
+ * @property {string} id Game id
+ * @property {string} date When the game ended, as an ISO string
+ * @property {string} character Name of the character the game was played against
+ * @property {string} userColor User's color: white or black
+ * @property {string} opponent Who picked the opponent's moves: llm, hybrid or engine
+ * @property {number} opponentRating Rating of the character at the time of the game
+ * @property {string} result Result for the user: win, draw, loss or unfinished
+ * @property {string} termination How the game ended
+ * @property {number} moves Number of moves in the game
+ * @property {string} [pgn] The whole game in PGN, dropped once the game is no longer one of the most recent ones
+ */
+
+/**
+ * Gets the finished games, oldest first.
+ * @returns {GameRecord[]} Game records
+ */
+export function getGameResults() {
+    return getSettings().results;
+}
+
+/**
+ * Saves a finished game.
+ * @param {GameRecord} record Game record
+ */
+export function recordGameResult(record) {
+    const results = getGameResults();
+
+    // The game was already recorded, e.g. when the end of game handler ran twice
+    if (results.some(result => result.id === record.id)) {
+        return;
+    }
+
+    results.push(record);
+
+    for (const result of results.slice(0, -MAX_SAVED_GAMES)) {
+        delete result.pgn;
+    }
+
+    SillyTavern.getContext().saveSettingsDebounced();
+}
+
+/**
+ * Removes a game from the records.
+ * @param {string} id Game id
+ */
+function deleteGameResult(id) {
+    const settings = getSettings();
+    settings.results = settings.results.filter(result => result.id !== id);
+    SillyTavern.getContext().saveSettingsDebounced();
+}
+
+/**
+ * Counts the results and the streaks in a list of games.
+ * @param {GameRecord[]} results Game records, oldest first
+ * @returns {{games: number, wins: number, draws: number, losses: number, streak: {result: string, length: number}|null, bestWinStreak: number}} Record summary
+ */
+function summarizeResults(results) {
+    const decided = results.filter(result => result.result !== 'unfinished');
+    let streak = null;
+    let winStreak = 0;
+    let bestWinStreak = 0;
+
+    for (const { result } of decided) {
+        streak = streak?.result === result ? { result, length: streak.length + 1 } : { result, length: 1 };
+        winStreak = result === 'win' ? winStreak + 1 : 0;
+        bestWinStreak = Math.max(bestWinStreak, winStreak);
+    }
+
+    return {
+        games: decided.length,
+        wins: decided.filter(result => result.result === 'win').length,
+        draws: decided.filter(result => result.result === 'draw').length,
+        losses: decided.filter(result => result.result === 'loss').length,
+        streak,
+        bestWinStreak,
+    };
+}
+
+/**
+ * Estimates the user's rating from the finished games with the Elo formula.
+ * @param {GameRecord[]} results Game records, oldest first
+ * @returns {number} Rating estimate
+ */
+function estimateRating(results) {
+    const scores = { win: 1, draw: 0.5, loss: 0 };
+    let rating = BASE_RATING;
+
+    for (const result of results) {
+        if (!(result.result in scores)) {
+            continue;
+        }
+
+        const opponentRating = result.opponentRating ?? DEFAULT_OPPONENT_RATING;
+        const expected = 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+        rating += RATING_K_FACTOR * (scores[result.result] - expected);
+    }
+
+    return Math.round(rating);
+}
+
+/**
+ * Formats a streak for display.
+ * @param {{result: string, length: number}|null} streak Current streak
+ * @returns {string} Streak, e.g. "3 wins", or a dash if there is none
+ */
+function formatStreak(streak) {
+    if (!streak) {
+        return '-';
+    }
+
+    const names = { win: 'win', draw: 'draw', loss: 'loss' };
+    const name = names[streak.result];
+    return `${streak.length} ${streak.length === 1 ? name : name === 'loss' ? 'losses' : `${name}s`}`;
+}
+
+/**
+ * Describes the record against a character in a sentence.
+ * @param {string} character Character name
+ * @returns {string} Record summary
+ */
+export function describeRecord(character) {
+    const summary = summarizeResults(getGameResults().filter(result => result.character === character));
+
+    if (!summary.games) {
+        return `No finished games against ${character} yet.`;
+    }
+
+    return `Against ${character}: ${summary.wins} wins, ${summary.draws} draws, ${summary.losses} losses. Current streak: ${formatStreak(summary.streak)}.`;
+}
+
+/**
+ * Shows the moves of a recorded game on a read-only board.
+ * @param {GameRecord} record Game record
+ * @param {HTMLElement} parent Element in the document to show the game in
+ * @returns {any} Chessboard instance, or null if the game can't be loaded
+ */
+function mountGameViewer(record, parent) {
+    const context = SillyTavern.getContext();
+    const chess = new Chess();
+
+    try {
+        chess.loadPgn(record.pgn);
+    } catch (error) {
+        console.error('Chess: Failed to load the recorded game', error);
+        toastr.error('The recorded game can\'t be loaded', 'Chess');
+        return null;
+    }
+
+    const history = chess.history({ verbose: true });
+    const fens = [history[0]?.before ?? chess.fen(), ...history.map(move => move.after)];
+    const [, firstMoveColor, , , , firstMoveNumber] = fens[0].split(' ');
+    let ply = history.length;
+
+    const container = document.createElement('div');
+    container.classList.add('chess-game', 'flex-container', 'flexFlowColumn', 'flexGap10');
+    parent.appendChild(container);
+
+    const title = document.createElement('div');
+    title.textContent = `${new Date(record.date).toLocaleString()} - ${context.name1} (${record.userColor}) vs. ${record.character}: ${RESULT_NAMES[record.result]}, ${record.termination}`;
+    container.appendChild(title);
+
+    const boardId = `chessboard-viewer-${record.id}`;
+    const boardContainer = document.createElement('div');
+    boardContainer.id = boardId;
+    boardContainer.classList.add('wide100p', 'chessboard');
+    container.appendChild(boardContainer);
+
+    const historyList = document.createElement('div');
+    historyList.classList.add('chess-history-list');
+    container.appendChild(historyList);
+
+    const navigation = document.createElement('div');
+    navigation.classList.add('flex-container', 'justifyCenter', 'flexGap5');
+    container.appendChild(navigation);
+
+    const settings = getSettings();
+    const board = new Chessboard(boardId, {
+        draggable: false,
+        position: fens[ply],
+        orientation: record.userColor,
+        showNotation: settings.showCoordinates,
+        pieceTheme: getPieceTheme(settings.pieceTheme),
+    });
+    applyBoardTheme(boardContainer, settings.boardTheme);
+
+    const show = (newPly) => {
+        ply = Math.max(0, Math.min(history.length, newPly));
+        board.position(fens[ply], false);
+        const lastMove = history[ply - 1];
+        markSquares(boardContainer, 'chess-last-move', settings.highlightMoves && lastMove ? [lastMove.from, lastMove.to] : []);
+        historyList.querySelectorAll('.chess-move').forEach((element, index) => {
+            element.classList.toggle('chess-move-current', index + 1 === ply);
+        });
+    };
+
+    history.forEach((move, index) => {
+        const moveNumberText = formatMoveNumber(index, Number(firstMoveNumber), firstMoveColor);
+
+        if (moveNumberText) {
+            const moveNumber = document.createElement('span');
+            moveNumber.classList.add('chess-move-number');
+            moveNumber.textContent = moveNumberText;
+            historyList.appendChild(moveNumber);
+        }
+
+        const moveText = document.createElement('span');
+        moveText.classList.add('chess-move');
+        moveText.textContent = move.san;
+        moveText.addEventListener('click', () => show(index + 1));
+        historyList.appendChild(moveText);
+    });
+
+    const navigationButtons = [
+        ['fa-backward-fast', 'First move', () => show(0)],
+        ['fa-backward-step', 'Previous move', () => show(ply - 1)],
+        ['fa-forward-step', 'Next move', () => show(ply + 1)],
+        ['fa-forward-fast', 'Last move', () => show(history.length)],
+    ];
+    for (const [icon, label, onClick] of navigationButtons) {
+        const button = document.createElement('button');
+        button.title = label;
+        button.classList.add('menu_button', 'menu_button_icon', 'fa-solid', icon);
+        button.addEventListener('click', onClick);
+        navigation.appendChild(button);
+    }
+
+    show(ply);
+    container.scrollIntoView({ behavior: 'smooth' });
+    return board;
+}
+
+/**
+ * Shows the results against every character, the rating estimate and the list of past games.
+ */
+export async function showStats() {
+    const context = SillyTavern.getContext();
+    const results = getGameResults();
+
+    const container = document.createElement('div');
+    container.classList.add('flex-container', 'flexFlowColumn', 'flexGap10', 'chess-stats');
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Chess stats';
+    container.appendChild(heading);
+
+    const puzzleSummary = document.createElement('div');
+    puzzleSummary.textContent = `Puzzles: ${describePuzzleProgress(context.name1)}`;
+    container.appendChild(puzzleSummary);
+
+    if (!results.length) {
+        const emptyText = document.createElement('div');
+        emptyText.textContent = 'No finished games yet. Play a game to see your stats here!';
+        container.appendChild(emptyText);
+        await context.callPopup(container, 'text');
+        return;
+    }
+
+    const overall = summarizeResults(results);
+    const summary = document.createElement('div');
+    summary.textContent = `Rating estimate: ${estimateRating(results)}. Overall: ${overall.wins} wins, ${overall.draws} draws, ${overall.losses} losses. Best win streak: ${overall.bestWinStreak}.`;
+    container.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.classList.add('chess-stats-table');
+    const headerRow = document.createElement('tr');
+    for (const column of ['Character', 'Games', 'Wins', 'Draws', 'Losses', 'Score', 'Streak', 'Best win streak']) {
+        const header = document.createElement('th');
+        header.textContent = column;
+        headerRow.appendChild(header);
+    }
+    table.appendChild(headerRow);
+
+    const characters = [...new Set(results.map(result => result.character))];
+    const rows = characters
+        .map(character => ({ character, ...summarizeResults(results.filter(result => result.character === character)) }))
+        .filter(row => row.games)
+        .sort((a, b) => b.games - a.games);
+
+    for (const row of rows) {
+        const tableRow = document.createElement('tr');
+        const score = Math.round((row.wins + row.draws / 2) / row.games * 100);
+        const cells = [row.character, row.games, row.wins, row.draws, row.losses, `${score}%`, formatStreak(row.streak), row.bestWinStreak];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = String(value);
+            tableRow.appendChild(cell);
+        }
+        table.appendChild(tableRow);
+    }
+    container.appendChild(table);
+
+    // Reopened games are shown here, one at a time
+    const viewer = document.createElement('div');
+    container.appendChild(viewer);
+    let viewerBoard = null;
+
+    const gamesHeading = document.createElement('h4');
+    gamesHeading.textContent = 'Past games';
+    container.appendChild(gamesHeading);
+
+    const gameList = document.createElement('div');
+    gameList.classList.add('flex-container', 'flexFlowColumn', 'chess-stats-games');
+    for (const record of [...results].reverse()) {
+        const gameRow = document.createElement('div');
+        gameRow.classList.add('flex-container', 'alignItemsCenter', 'flexGap10', 'flexNoWrap');
+
+        const gameText = document.createElement('span');
+        gameText.classList.add('flex1');
+        gameText.textContent = `${new Date(record.date).toLocaleDateString()} - vs. ${record.character} as ${record.userColor}: ${RESULT_NAMES[record.result]}, ${record.termination} (${record.moves} moves)`;
+        gameRow.appendChild(gameText);
+
+        const viewButton = document.createElement('button');
+        viewButton.title = 'View the game';
+        viewButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-eye');
+        viewButton.classList.toggle('displayNone', !record.pgn);
+        viewButton.addEventListener('click', () => {
+            viewerBoard?.destroy();
+            viewer.innerHTML = '';
+            viewerBoard = mountGameViewer(record, viewer);
+        });
+        gameRow.appendChild(viewButton);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.title = 'Delete the game from the stats';
+        deleteButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-trash-can');
+        deleteButton.addEventListener('click', () => {
+            deleteGameResult(record.id);
+            gameRow.remove();
+        });
+        gameRow.appendChild(deleteButton);
+
+        gameList.appendChild(gameRow);
+    }
+    container.appendChild(gameList);
+
+    await context.callPopup(container, 'text', '', { wide: true });
+    viewerBoard?.destroy();
+}
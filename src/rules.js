@@ -0,0 +1,94 @@
+/**
+ * Positions and half-moves that end the game without a claim (FIDE fivefold repetition and 75-move rules).
+ */
+const AUTOMATIC_REPETITIONS = 5;
+const AUTOMATIC_HALF_MOVES = 150;
+
+/**
+ * Positions and half-moves that let the side to move claim a draw (threefold repetition and 50-move rules).
+ */
+const CLAIMABLE_REPETITIONS = 3;
+const CLAIMABLE_HALF_MOVES = 100;
+
+/**
+ * Gets the part of a FEN that identifies a position for the repetition rules.
+ * @param {string} fen Position in FEN
+ * @returns {string} Pieces, side to move, castling rights and en passant square
+ */
+function getPositionKey(fen) {
+    return fen.split(' ').slice(0, 4).join(' ');
+}
+
+/**
+ * Counts how many times the current position occurred in the game.
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {number} Number of occurrences, including the current one
+ */
+export function getRepetitionCount(chess) {
+    const history = chess.history({ verbose: true });
+    const fens = [history[0]?.before ?? chess.fen(), ...history.map(move => move.after)];
+    const current = getPositionKey(chess.fen());
+    return fens.filter(fen => getPositionKey(fen) === current).length;
+}
+
+/**
+ * Gets the number of half-moves since the last capture or pawn move.
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {number} Half-move clock
+ */
+export function getHalfMoveClock(chess) {
+    return Number(chess.fen().split(' ')[4]) || 0;
+}
+
+/**
+ * Checks if the game ended on the board.
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {{result: string, reason: string}|null} Result in PGN notation and how the game ended, or null if it goes on
+ */
+export function getBoardTermination(chess) {
+    if (chess.isCheckmate()) {
+        return {
+            result: chess.turn() === 'w' ? '0-1' : '1-0',
+            reason: `${chess.turn() === 'w' ? 'Black' : 'White'} wins by checkmate`,
+        };
+    }
+
+    if (chess.isStalemate()) {
+        return { result: '1/2-1/2', reason: 'the game is drawn by stalemate' };
+    }
+
+    if (chess.isInsufficientMaterial()) {
+        return { result: '1/2-1/2', reason: 'the game is drawn by insufficient material' };
+    }
+
+    if (getRepetitionCount(chess) >= AUTOMATIC_REPETITIONS) {
+        return { result: '1/2-1/2', reason: 'the game is drawn by fivefold repetition' };
+    }
+
+    if (getHalfMoveClock(chess) >= AUTOMATIC_HALF_MOVES) {
+        return { result: '1/2-1/2', reason: 'the game is drawn by the 75-move rule' };
+    }
+
+    return null;
+}
+
+/**
+ * Checks if the side to move may claim a draw.
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {string|null} Rule the draw can be claimed by, or null if there is no claim
+ */
+export function getClaimableDraw(chess) {
+    if (getBoardTermination(chess)) {
+        return null;
+    }
+
+    if (getRepetitionCount(chess) >= CLAIMABLE_REPETITIONS) {
+        return 'threefold repetition';
+    }
+
+    if (getHalfMoveClock(chess) >= CLAIMABLE_HALF_MOVES) {
+        return 'the 50-move rule';
+    }
+
+    return null;
+}
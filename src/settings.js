@@ -0,0 +1,335 @@
+/* global SillyTavern */
+
+import { DEFAULT_ENGINE_LEVEL, ENGINE_LEVELS } from './engine';
+import { COMMENTARY_FREQUENCIES, COMMENTARY_TARGETS } from './commentary';
+import { TIME_CONTROLS } from './clock';
+import { MOVE_OUTPUT_FORMATS } from './moves';
+import { PIECE_THEMES } from './pieces';
+import { BOARD_THEMES } from './board';
+
+const MODULE_NAME = 'chess';
+
+export const DEFAULT_SETTINGS = {
+    opponentMovePrompt: '{{profile}} You are given the representation of a chessboard state using the Forsyth-Edwards Notation (FEN) and ASCII. Select the best possible move from the list. You are playing as {{color}}.',
+    candidateMovePrompt: 'You are {{char}}, playing a game of chess as {{color}}. {{profile}} You are given the representation of a chessboard state using the Forsyth-Edwards Notation (FEN) and ASCII, and a shortlist of candidate moves with short evaluations. Choose the candidate that fits your personality and playing style best.',
+    commentPrompt: '{{char}} played a game of chess against {{user}}. {{user}} played as {{color}} and {{char}} played as {{opponent}}, and {{outcome}}! The final state of the board state in FEN notation: {{fen}}. The opening was {{opening}}. Key moments of the game: {{analysis}} Write a {{random:witty,playful,funny,quirky,zesty}} comment about the game from {{char}}\'s perspective, mentioning the specific moments.',
+    postGameAnalysis: true,
+    drawOfferPrompt: 'You are {{char}}, playing a game of chess as {{color}} against {{user}}. {{profile}} {{user}} offers you a draw. The position in FEN: {{fen}}. The engine evaluates the position as {{evaluation}} pawns for you (positive means you are better). Decide whether to accept the draw the way {{char}} would. Start your reply with ACCEPT or DECLINE, followed by a short in-character remark.',
+    maxRetries: 3,
+    moveOutputFormat: 'line',
+    thinkFirst: false,
+    fallback: 'engine',
+    useOpeningBook: true,
+    promptFormats: {
+        fen: true,
+        ascii: true,
+        pgn: false,
+        moves: true,
+    },
+    commentaryPrompt: 'You are {{char}}, playing a game of chess against {{user}} as {{color}}. The opening: {{opening}}. What just happened: {{event}}. Write a short in-character remark about it (one or two sentences) from {{char}}\'s perspective. Reply with the remark only.',
+    commentaryFrequency: 'off',
+    commentaryTarget: 'bubble',
+    commentaryMaxTokens: 60,
+    thinkingBudget: 0,
+    defaultTimeControl: 'untimed',
+    defaultColor: 'random',
+    defaultOpponent: 'llm',
+    engineLevel: DEFAULT_ENGINE_LEVEL,
+    pieceTheme: 'classic',
+    boardTheme: 'classic',
+    showCoordinates: true,
+    highlightMoves: true,
+    showMoveArrows: true,
+    results: [],
+    puzzleHintPrompt: 'You are {{char}}, coaching {{user}} through a chess puzzle. {{progress}} The position in FEN: {{fen}}. The puzzle is about: {{themes}}. The correct move is {{solution}}, but don\'t give it away. This is hint number {{hints}}: give a short in-character hint (one or two sentences) that nudges {{user}} in the right direction, more concrete than any earlier hints. Reply with the hint only.',
+    puzzleReactionPrompt: 'You are {{char}}, coaching {{user}} through chess puzzles. {{progress}} The puzzle is about: {{themes}}. What just happened: {{event}}. Write a short in-character reaction (one or two sentences) from {{char}}\'s perspective. Reply with the reaction only.',
+    puzzleProgress: {},
+};
+
+const FALLBACK_OPTIONS = {
+    engine: 'Engine move',
+    random: 'Random move',
+};
+
+const PROMPT_FORMATS = {
+    fen: 'FEN',
+    ascii: 'ASCII board',
+    pgn: 'PGN of the game so far',
+    moves: 'List of legal moves',
+};
+
+const COLOR_OPTIONS = {
+    white: 'White',
+    black: 'Black',
+    random: 'Random',
+};
+
+export const OPPONENT_OPTIONS = {
+    llm: 'Character (LLM)',
+    hybrid: 'Character picks from engine candidates',
+    engine: 'Chess engine',
+};
+
+const MOVE_MACROS_HELP = '{{profile}} - how the character plays, from their chess profile, {{color}} - the character\'s color, {{opponent}} - your color, {{fen}} - board in FEN, {{pgn}} - game so far in PGN, {{opening}} - name and ECO code of the opening. Regular macros like {{char}} and {{user}} work too.';
+const COMMENTARY_MACROS_HELP = '{{event}} - what happened in the move, {{color}} - the character\'s color, {{opponent}} - your color, {{fen}} - board in FEN after the move, {{opening}} - name and ECO code of the opening. Regular macros like {{char}} and {{user}} work too.';
+const DRAW_MACROS_HELP = '{{profile}} - how the character plays, from their chess profile, {{color}} - the character\'s color, {{opponent}} - your color, {{evaluation}} - engine evaluation for the character in pawns, {{fen}} - board in FEN, {{pgn}} - game so far in PGN. Regular macros like {{char}} and {{user}} work too.';
+const PUZZLE_MACROS_HELP = '{{themes}} - what the puzzle is about, {{progress}} - your puzzle record, {{fen}} - board in FEN, {{solution}} - the next move of the solution (hints only), {{hints}} - number of the hint (hints only), {{event}} - what just happened (reactions only). Regular macros like {{char}} and {{user}} work too.';
+const COMMENT_MACROS_HELP = '{{color}} - your color, {{opponent}} - the character\'s color, {{outcome}} - how the game ended, {{fen}} - final board in FEN, {{pgn}} - the whole game in PGN, {{analysis}} - key moments found by the post-game analysis, {{opening}} - name and ECO code of the opening. Regular macros like {{char}} and {{user}} work too.';
+
+/**
+ * Gets the extension settings, filling in the defaults for anything missing.
+ * @returns {typeof DEFAULT_SETTINGS} Extension settings
+ */
+export function getSettings() {
+    const { extensionSettings } = SillyTavern.getContext();
+
+    if (!extensionSettings[MODULE_NAME]) {
+        extensionSettings[MODULE_NAME] = structuredClone(DEFAULT_SETTINGS);
+    }
+
+    const settings = extensionSettings[MODULE_NAME];
+
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+        if (settings[key] === undefined) {
+            settings[key] = structuredClone(value);
+        }
+    }
+
+    settings.promptFormats = { ...DEFAULT_SETTINGS.promptFormats, ...settings.promptFormats };
+    return settings;
+}
+
+function saveSettings() {
+    SillyTavern.getContext().saveSettingsDebounced();
+}
+
+/**
+ * Creates a labelled select bound to a setting.
+ * @param {string} label Label text
+ * @param {string} key Setting key
+ * @param {Object<string, string>} options Option values and their display names
+ * @param {(value: string) => any} [parse] Converts the selected value before saving
+ * @param {() => void} [onChange] Called after the setting is saved
+ * @returns {HTMLElement} Settings row
+ */
+function createSelect(label, key, options, parse = (value) => value, onChange = () => {}) {
+    const settings = getSettings();
+    const row = document.createElement('label');
+    row.classList.add('flex-container', 'flexFlowColumn', 'flexNoGap');
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    row.appendChild(labelText);
+
+    const select = document.createElement('select');
+    select.classList.add('text_pole');
+    for (const [value, name] of Object.entries(options)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = String(settings[key]);
+    select.addEventListener('change', () => {
+        getSettings()[key] = parse(select.value);
+        saveSettings();
+        onChange();
+    });
+    row.appendChild(select);
+
+    return row;
+}
+
+/**
+ * Creates a labelled number input bound to a setting.
+ * @param {string} label Label text
+ * @param {string} key Setting key
+ * @param {number} min Minimum value
+ * @param {number} max Maximum value
+ * @returns {HTMLElement} Settings row
+ */
+function createNumberInput(label, key, min, max) {
+    const settings = getSettings();
+    const row = document.createElement('label');
+    row.classList.add('flex-container', 'flexFlowColumn', 'flexNoGap');
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    row.appendChild(labelText);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.max = String(max);
+    input.classList.add('text_pole');
+    input.value = String(settings[key]);
+    input.addEventListener('input', () => {
+        const value = Number(input.value);
+
+        if (Number.isInteger(value) && value >= min && value <= max) {
+            getSettings()[key] = value;
+            saveSettings();
+        }
+    });
+    row.appendChild(input);
+
+    return row;
+}
+
+/**
+ * Creates a checkbox bound to a setting.
+ * @param {string} label Label text
+ * @param {string} key Setting key
+ * @param {() => void} [onChange] Called after the setting is saved
+ * @returns {HTMLElement} Settings row
+ */
+function createCheckbox(label, key, onChange = () => {}) {
+    const settings = getSettings();
+    const row = document.createElement('label');
+    row.classList.add('checkbox_label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(settings[key]);
+    checkbox.addEventListener('change', () => {
+        getSettings()[key] = checkbox.checked;
+        saveSettings();
+        onChange();
+    });
+    row.appendChild(checkbox);
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    row.appendChild(labelText);
+
+    return row;
+}
+
+/**
+ * Creates a prompt editor with macro help and a button to restore the default.
+ * @param {string} label Label text
+ * @param {string} key Setting key
+ * @param {string} help Macro help text
+ * @returns {HTMLElement} Settings row
+ */
+function createPromptEditor(label, key, help) {
+    const settings = getSettings();
+    const row = document.createElement('div');
+    row.classList.add('flex-container', 'flexFlowColumn', 'flexNoGap');
+
+    const header = document.createElement('div');
+    header.classList.add('flex-container', 'alignItemsCenter');
+    const labelText = document.createElement('span');
+    labelText.classList.add('flex1');
+    labelText.textContent = label;
+    header.appendChild(labelText);
+    const restoreButton = document.createElement('div');
+    restoreButton.title = 'Restore default';
+    restoreButton.classList.add('menu_button', 'menu_button_icon', 'fa-solid', 'fa-recycle');
+    header.appendChild(restoreButton);
+    row.appendChild(header);
+
+    const textarea = document.createElement('textarea');
+    textarea.classList.add('text_pole', 'textarea_compact');
+    textarea.rows = 4;
+    textarea.value = settings[key];
+    textarea.addEventListener('input', () => {
+        getSettings()[key] = textarea.value;
+        saveSettings();
+    });
+    row.appendChild(textarea);
+
+    restoreButton.addEventListener('click', () => {
+        textarea.value = DEFAULT_SETTINGS[key];
+        getSettings()[key] = DEFAULT_SETTINGS[key];
+        saveSettings();
+    });
+
+    const helpText = document.createElement('small');
+    helpText.textContent = help;
+    row.appendChild(helpText);
+
+    return row;
+}
+
+/**
+ * Adds the extension settings drawer to the Extensions panel.
+ * @param {object} callbacks Callbacks
+ * @param {() => void} callbacks.onAppearanceChange Redraws the active board with the new appearance settings
+ */
+export function addSettingsPanel({ onAppearanceChange }) {
+    const settings = getSettings();
+    const container = document.getElementById('extensions_settings2') ?? document.getElementById('extensions_settings');
+
+    if (!container) {
+        throw new Error('Could not find the extensions settings container');
+    }
+
+    const drawer = document.createElement('div');
+    drawer.id = 'chess-settings';
+    drawer.classList.add('inline-drawer');
+
+    const drawerHeader = document.createElement('div');
+    drawerHeader.classList.add('inline-drawer-toggle', 'inline-drawer-header');
+    const drawerTitle = document.createElement('b');
+    drawerTitle.textContent = 'Chess';
+    drawerHeader.appendChild(drawerTitle);
+    const drawerIcon = document.createElement('div');
+    drawerIcon.classList.add('inline-drawer-icon', 'fa-solid', 'fa-circle-chevron-down', 'down');
+    drawerHeader.appendChild(drawerIcon);
+    drawer.appendChild(drawerHeader);
+
+    const drawerContent = document.createElement('div');
+    drawerContent.classList.add('inline-drawer-content', 'flex-container', 'flexFlowColumn', 'chess-settings');
+    drawer.appendChild(drawerContent);
+
+    drawerContent.appendChild(createSelect('Default color', 'defaultColor', COLOR_OPTIONS));
+    drawerContent.appendChild(createSelect('Default opponent', 'defaultOpponent', OPPONENT_OPTIONS));
+    const levelOptions = Object.fromEntries(Object.entries(ENGINE_LEVELS).map(([level, { name }]) => [level, `${level} - ${name}`]));
+    drawerContent.appendChild(createSelect('Default engine strength', 'engineLevel', levelOptions, Number));
+    drawerContent.appendChild(createSelect('When the LLM fails to move', 'fallback', FALLBACK_OPTIONS));
+    drawerContent.appendChild(createCheckbox('Play the first moves from the opening book', 'useOpeningBook'));
+
+    drawerContent.appendChild(createSelect('Pieces', 'pieceTheme', PIECE_THEMES, undefined, onAppearanceChange));
+    drawerContent.appendChild(createSelect('Board colors', 'boardTheme', BOARD_THEMES, undefined, onAppearanceChange));
+    drawerContent.appendChild(createCheckbox('Show coordinates', 'showCoordinates', onAppearanceChange));
+    drawerContent.appendChild(createCheckbox('Highlight the last move and checks', 'highlightMoves', onAppearanceChange));
+    drawerContent.appendChild(createCheckbox('Show an arrow for the opponent\'s move', 'showMoveArrows', onAppearanceChange));
+
+    drawerContent.appendChild(createSelect('Default time control', 'defaultTimeControl', TIME_CONTROLS));
+    drawerContent.appendChild(createNumberInput('Move generation attempts', 'maxRetries', 1, 10));
+    drawerContent.appendChild(createSelect('Move answer format', 'moveOutputFormat', MOVE_OUTPUT_FORMATS));
+    drawerContent.appendChild(createCheckbox('Let the character think before answering', 'thinkFirst'));
+    drawerContent.appendChild(createNumberInput('Opponent thinking budget (seconds, 0 = unlimited)', 'thinkingBudget', 0, 3600));
+
+    const formatsLabel = document.createElement('span');
+    formatsLabel.textContent = 'Include in the move prompt';
+    drawerContent.appendChild(formatsLabel);
+    for (const [format, name] of Object.entries(PROMPT_FORMATS)) {
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.classList.add('checkbox_label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.promptFormats[format];
+        checkbox.addEventListener('change', () => {
+            getSettings().promptFormats[format] = checkbox.checked;
+            saveSettings();
+        });
+        checkboxLabel.appendChild(checkbox);
+        const checkboxText = document.createElement('span');
+        checkboxText.textContent = name;
+        checkboxLabel.appendChild(checkboxText);
+        drawerContent.appendChild(checkboxLabel);
+    }
+
+    drawerContent.appendChild(createPromptEditor('Move prompt', 'opponentMovePrompt', MOVE_MACROS_HELP));
+    drawerContent.appendChild(createPromptEditor('Candidate move prompt (hybrid mode)', 'candidateMovePrompt', MOVE_MACROS_HELP));
+    drawerContent.appendChild(createPromptEditor('Draw offer prompt', 'drawOfferPrompt', DRAW_MACROS_HELP));
+    drawerContent.appendChild(createPromptEditor('End of game comment prompt', 'commentPrompt', COMMENT_MACROS_HELP));
+    drawerContent.appendChild(createCheckbox('Analyze the game before the end of game comment', 'postGameAnalysis'));
+
+    drawerContent.appendChild(createSelect('Default live commentary', 'commentaryFrequency', COMMENTARY_FREQUENCIES));
+    drawerContent.appendChild(createSelect('Show commentary in', 'commentaryTarget', COMMENTARY_TARGETS));
+    drawerContent.appendChild(createNumberInput('Commentary length limit (tokens)', 'commentaryMaxTokens', 10, 500));
+    drawerContent.appendChild(createPromptEditor('Commentary prompt', 'commentaryPrompt', COMMENTARY_MACROS_HELP));
+    drawerContent.appendChild(createPromptEditor('Puzzle hint prompt', 'puzzleHintPrompt', PUZZLE_MACROS_HELP));
+    drawerContent.appendChild(createPromptEditor('Puzzle reaction prompt', 'puzzleReactionPrompt', PUZZLE_MACROS_HELP));
+
+    container.appendChild(drawer);
+}
@@ -0,0 +1,149 @@
+import { findKing } from './board';
+
+export const VARIANTS = {
+    standard: 'Standard',
+    kingOfTheHill: 'King of the Hill',
+    threeCheck: 'Three-check',
+    knightOdds: 'Knight odds',
+    rookOdds: 'Rook odds',
+    queenOdds: 'Queen odds',
+};
+
+/**
+ * Who gives the odds in an odds game. The character does by default, or White when two characters play.
+ */
+export const ODDS_OPTIONS = {
+    '': 'The character (White when watching)',
+    white: 'White',
+    black: 'Black',
+};
+
+/**
+ * Names of the variants in the PGN Variant tag. Odds games are standard chess from a set-up position.
+ */
+const PGN_VARIANT_NAMES = {
+    kingOfTheHill: 'King of the Hill',
+    threeCheck: 'Three-check',
+};
+
+/**
+ * Square of the piece the side giving odds starts without, as a file, and its name.
+ */
+const ODDS_PIECES = {
+    knightOdds: { file: 'b', name: 'queen\'s knight' },
+    rookOdds: { file: 'a', name: 'queen\'s rook' },
+    queenOdds: { file: 'd', name: 'queen' },
+};
+
+export const HILL_SQUARES = ['d4', 'd5', 'e4', 'e5'];
+export const CHECKS_TO_WIN = 3;
+
+const STANDARD_BACK_RANK = 'rnbqkbnr';
+
+/**
+ * Checks if a variant is an odds game, where one side starts without a piece.
+ * @param {string} variant Variant: one of VARIANTS
+ * @returns {boolean} Whether the variant is an odds game
+ */
+export function isOddsVariant(variant) {
+    return variant in ODDS_PIECES;
+}
+
+/**
+ * Gets the start position of a variant.
+ * @param {string} variant Variant: one of VARIANTS
+ * @param {string} oddsColor Side that gives odds in an odds game: w or b
+ * @returns {string} Position in FEN, or an empty string for the standard start position
+ */
+export function getVariantStartFen(variant, oddsColor) {
+    if (variant in ODDS_PIECES) {
+        const index = 'abcdefgh'.indexOf(ODDS_PIECES[variant].file);
+        const removePiece = (rank) => `${rank.slice(0, index)}1${rank.slice(index + 1)}`;
+        const whiteRank = oddsColor === 'w' ? removePiece(STANDARD_BACK_RANK.toUpperCase()) : STANDARD_BACK_RANK.toUpperCase();
+        const blackRank = oddsColor === 'b' ? removePiece(STANDARD_BACK_RANK) : STANDARD_BACK_RANK;
+
+        // No castling with a rook that isn't there
+        const castling = variant === 'rookOdds' ? (oddsColor === 'w' ? 'Kkq' : 'KQk') : 'KQkq';
+        return `${blackRank}/pppppppp/8/8/8/8/PPPPPPPP/${whiteRank} w ${castling} - 0 1`;
+    }
+
+    return '';
+}
+
+/**
+ * Counts the checks each side has given.
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {{w: number, b: number}} Number of checks by side
+ */
+export function countChecks(chess) {
+    const checks = { w: 0, b: 0 };
+
+    for (const move of chess.history({ verbose: true })) {
+        if (/[+#]$/.test(move.san)) {
+            checks[move.color]++;
+        }
+    }
+
+    return checks;
+}
+
+/**
+ * Checks if the game was won by a variant rule.
+ * @param {string} variant Variant: one of VARIANTS
+ * @param {import('chess.js').Chess} chess Game
+ * @returns {{result: string, reason: string}|null} Result in PGN notation and how the game ended, or null if no variant rule ended it
+ */
+export function getVariantTermination(variant, chess) {
+    if (variant === 'kingOfTheHill') {
+        for (const [color, name, result] of [['w', 'White', '1-0'], ['b', 'Black', '0-1']]) {
+            if (HILL_SQUARES.includes(findKing(chess, color))) {
+                return { result, reason: `${name} wins by bringing the king to the center` };
+            }
+        }
+    }
+
+    if (variant === 'threeCheck') {
+        const checks = countChecks(chess);
+
+        for (const [color, name, result] of [['w', 'White', '1-0'], ['b', 'Black', '0-1']]) {
+            if (checks[color] >= CHECKS_TO_WIN) {
+                return { result, reason: `${name} wins by giving ${CHECKS_TO_WIN} checks` };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Explains the rules of a variant for the prompts.
+ * @param {string} variant Variant: one of VARIANTS
+ * @param {import('chess.js').Chess} chess Game, used for the score in Three-check
+ * @param {string} oddsColor Side that gives odds in an odds game: w or b
+ * @returns {string} Rules description, or an empty string for standard chess
+ */
+export function describeVariant(variant, chess, oddsColor) {
+    switch (variant) {
+        case 'kingOfTheHill':
+            return `This is a game of King of the Hill: besides checkmate, a player wins by bringing their king to one of the central squares ${HILL_SQUARES.join(', ')}.`;
+        case 'threeCheck': {
+            const checks = countChecks(chess);
+            return `This is a game of Three-check: besides checkmate, a player wins by giving ${CHECKS_TO_WIN} checks. Checks given so far: White ${checks.w}, Black ${checks.b}.`;
+        }
+    }
+
+    if (variant in ODDS_PIECES) {
+        return `This is an odds game: ${oddsColor === 'w' ? 'White' : 'Black'} started without the ${ODDS_PIECES[variant].name}.`;
+    }
+
+    return '';
+}
+
+/**
+ * Gets the value of the PGN Variant tag.
+ * @param {string} variant Variant: one of VARIANTS
+ * @returns {string|null} Variant name, or null if the game needs no Variant tag
+ */
+export function getPgnVariantName(variant) {
+    return PGN_VARIANT_NAMES[variant] ?? null;
+}
@@ -9,6 +9,13 @@ module.exports = {
     },
     module: {
         rules: [
+            {
+                test: /\.worker\.js$/,
+                loader: 'worker-loader',
+                options: {
+                    inline: 'no-fallback',
+                },
+            },
             {
                 test: /\.js/,
                 exclude: /node_modules/,